@@ -92,9 +92,33 @@ function startServer() {
     base: process.env.base || '',
     assignees: process.env.assignees || '',
     testers: process.env.testers || '',
+    enterprise: process.env.enterprise || '',
+    milestone: process.env.milestone || '',
     AUTO_REVIEW: process.env.AUTO_REVIEW || 'false',
     AUTO_TEST: process.env.AUTO_TEST || 'false',
     AUTO_MERGE: process.env.AUTO_MERGE || 'false',
+    AUTO_MERGE_WAIT: process.env.AUTO_MERGE_WAIT || 'false',
+    AUTO_MERGE_TIMEOUT: process.env.AUTO_MERGE_TIMEOUT || '600',
+    AUTO_MERGE_INTERVAL: process.env.AUTO_MERGE_INTERVAL || '5',
+    AUTO_MERGE_BACKOFF: process.env.AUTO_MERGE_BACKOFF || '2',
+    AUTO_MERGE_MAX_INTERVAL: process.env.AUTO_MERGE_MAX_INTERVAL || '60',
+    MERGE_QUEUE_RETEST: process.env.MERGE_QUEUE_RETEST || 'false',
+    WORKFLOW_MAX_ATTEMPTS: process.env.WORKFLOW_MAX_ATTEMPTS || '3',
+    AUTO_BODY: process.env.AUTO_BODY || 'false',
+    PR_TEMPLATE: process.env.PR_TEMPLATE || '',
+    CREATE_MISSING_LABELS: process.env.CREATE_MISSING_LABELS || 'false',
+    LABEL_COLOR: process.env.LABEL_COLOR || '',
+    LABEL_ALIASES: process.env.LABEL_ALIASES || '',
+    OWNERS_FILE: process.env.OWNERS_FILE || '',
+    MERGE_POLICY_FILE: process.env.MERGE_POLICY_FILE || '',
+    REVIEWER_POOL: process.env.REVIEWER_POOL || '',
+    REVIEWER_POOL_MODE: process.env.REVIEWER_POOL_MODE || 'round_robin',
+    REVIEWER_POOL_SIZE: process.env.REVIEWER_POOL_SIZE || '1',
+    REVIEWER_UNAVAILABLE: process.env.REVIEWER_UNAVAILABLE || '',
+    REVIEWER_MAX_OPEN: process.env.REVIEWER_MAX_OPEN || '0',
+    ISSUE_STATE_ON_MERGE: process.env.ISSUE_STATE_ON_MERGE || '',
+    BRANCH_ALLOWLIST: process.env.BRANCH_ALLOWLIST || '',
+    BRANCH_PATTERN: process.env.BRANCH_PATTERN || '',
     MCP_LOG_DIR: process.env.MCP_LOG_DIR || (autoRepoName ? `./.setting.${autoRepoName}` : './.setting'),
     MCP_LOG_FILE: process.env.MCP_LOG_FILE || 'mcp-gitee-pr.log',
   };
@@ -109,6 +133,16 @@ function startServer() {
     AUTO_REVIEW: env.AUTO_REVIEW || 'false',
     AUTO_TEST: env.AUTO_TEST || 'false',
     AUTO_MERGE: env.AUTO_MERGE || 'false',
+    AUTO_MERGE_WAIT: env.AUTO_MERGE_WAIT || 'false',
+    AUTO_BODY: env.AUTO_BODY || 'false',
+    PR_TEMPLATE: env.PR_TEMPLATE || '(default)',
+    CREATE_MISSING_LABELS: env.CREATE_MISSING_LABELS || 'false',
+    OWNERS_FILE: env.OWNERS_FILE || '(not set)',
+    MERGE_POLICY_FILE: env.MERGE_POLICY_FILE || '(not set)',
+    REVIEWER_POOL: env.REVIEWER_POOL || '(not set)',
+    REVIEWER_POOL_MODE: env.REVIEWER_POOL_MODE || 'round_robin',
+    BRANCH_ALLOWLIST: env.BRANCH_ALLOWLIST || '(any branch)',
+    BRANCH_PATTERN: env.BRANCH_PATTERN || '(not set)',
     scope_username: env.scope_username ? env.scope_username.substring(0, 10) + '***' : '(not set)',
     scope_client_id: env.scope_client_id ? env.scope_client_id.substring(0, 8) + '***' : '(not set)',
     scope: 'user_info pull_requests enterprises (hardcoded)',
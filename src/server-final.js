@@ -22,9 +22,60 @@ const BASE_RAW = process.env.base || '';
 const ASSIGNEES = process.env.assignees || '';
 const TESTERS = process.env.testers || '';
 const LABELS_ENV = (process.env.labels || '').trim(); // Optional labels from environment
+const MILESTONE_ENV = (process.env.milestone || '').trim(); // Optional milestone (title or number) from environment
 const AUTO_REVIEW = process.env.AUTO_REVIEW === 'true' || process.env.AUTO_REVIEW === '1';
 const AUTO_TEST = process.env.AUTO_TEST === 'true' || process.env.AUTO_TEST === '1';
 const AUTO_MERGE = process.env.AUTO_MERGE === 'true' || process.env.AUTO_MERGE === '1';
+// Wait until the PR is mergeable, reviewed and tested before the auto merge, polling with backoff (times in seconds)
+const AUTO_MERGE_WAIT = process.env.AUTO_MERGE_WAIT === 'true' || process.env.AUTO_MERGE_WAIT === '1';
+const AUTO_MERGE_TIMEOUT = parseFloat(process.env.AUTO_MERGE_TIMEOUT) || 600;
+const AUTO_MERGE_INTERVAL = parseFloat(process.env.AUTO_MERGE_INTERVAL) || 5;
+const AUTO_MERGE_BACKOFF = Math.max(parseFloat(process.env.AUTO_MERGE_BACKOFF) || 2, 1);
+const AUTO_MERGE_MAX_INTERVAL = parseFloat(process.env.AUTO_MERGE_MAX_INTERVAL) || 60;
+// Run the auto test again when the base branch moved while the PR waited in the merge queue
+const MERGE_QUEUE_RETEST = process.env.MERGE_QUEUE_RETEST === 'true' || process.env.MERGE_QUEUE_RETEST === '1';
+// Generate the PR body from commits between head and base when the body is empty
+const AUTO_BODY = process.env.AUTO_BODY === 'true' || process.env.AUTO_BODY === '1';
+// Optional PR description template: local file or path in the repository ("none" disables templates)
+const PR_TEMPLATE = (process.env.PR_TEMPLATE || '').trim();
+const DEFAULT_PR_TEMPLATE_PATH = '.gitee/PULL_REQUEST_TEMPLATE.md';
+// Create labels that do not exist in the repository instead of dropping them, using LABEL_COLOR
+const CREATE_MISSING_LABELS = process.env.CREATE_MISSING_LABELS === 'true' || process.env.CREATE_MISSING_LABELS === '1';
+const LABEL_COLOR = (process.env.LABEL_COLOR || '1e80ff').trim().replace(/^#/, '');
+// Label aliases, e.g. "bugfix=bug,feat=feature" (added to the built-in ones below)
+const LABEL_ALIASES_ENV = (process.env.LABEL_ALIASES || '').trim();
+// Optional enterprise path, its members are accepted as reviewers and testers too
+const ENTERPRISE = (process.env.enterprise || '').trim();
+// Optional owners rules file (local file or path in the repository) mapping changed paths to reviewers and testers
+const OWNERS_FILE = (process.env.OWNERS_FILE || '').trim();
+// Optional merge policy file (local file or path in the repository) with merge rules per base branch
+const MERGE_POLICY_FILE = (process.env.MERGE_POLICY_FILE || '').trim();
+// Optional reviewer pool: pick REVIEWER_POOL_SIZE reviewers per PR instead of the fixed assignees
+const REVIEWER_POOL = (process.env.REVIEWER_POOL || '').trim();
+const REVIEWER_POOL_MODE = (process.env.REVIEWER_POOL_MODE || 'round_robin').trim();
+const REVIEWER_POOL_SIZE = parseInt(process.env.REVIEWER_POOL_SIZE, 10) || 1;
+// Pool members who are not picked (e.g. on leave), and the most open PRs a picked reviewer may have (0 = no cap)
+const REVIEWER_UNAVAILABLE = (process.env.REVIEWER_UNAVAILABLE || '').trim();
+const REVIEWER_MAX_OPEN = parseInt(process.env.REVIEWER_MAX_OPEN, 10) || 0;
+const REVIEWER_POOL_MODES = ['round_robin', 'least_loaded'];
+// Move linked issues to this state after the PR is merged by the auto-merge chain (e.g. "closed"; empty = leave them)
+const ISSUE_STATE_ON_MERGE = (process.env.ISSUE_STATE_ON_MERGE || '').trim();
+const ISSUE_STATES = ['open', 'progressing', 'closed', 'rejected'];
+// Branches the pr tool may use as per-call head/base: names or globs, and/or a regular expression
+// Without either, any existing branch may be used
+const BRANCH_ALLOWLIST = (process.env.BRANCH_ALLOWLIST || '').trim();
+const BRANCH_PATTERN = (process.env.BRANCH_PATTERN || '').trim();
+
+// Merge methods supported by Gitee
+const MERGE_METHODS = ['merge', 'squash', 'rebase'];
+
+// Pages of 100 PRs searched by list_prs when it filters by creation date
+const LIST_FILTER_MAX_PAGES = 10;
+
+// What the pr tool does when an open PR from head to base already exists
+const ON_EXISTING_ACTIONS = ['return', 'update', 'fail'];
+// How per-call labels, assignees and testers combine with the environment defaults
+const MERGE_STRATEGIES = ['override', 'merge'];
 
 // Get project name for multi-instance support
 const PROJECT_NAME = process.env.PROJECT_NAME || '';
@@ -55,6 +106,19 @@ if (missingEnvVars.length > 0) {
   process.exit(1);
 }
 
+// Compile BRANCH_PATTERN once; an invalid pattern would reject every per-call branch, and ignoring it
+// would allow any branch, so the server does not start
+let BRANCH_REGEXP = null;
+if (BRANCH_PATTERN) {
+  try {
+    BRANCH_REGEXP = new RegExp(BRANCH_PATTERN);
+  } catch (err) {
+    console.error(`ERROR: Invalid BRANCH_PATTERN "${BRANCH_PATTERN}": ${err.message}`);
+    console.error('Please fix or unset BRANCH_PATTERN before starting the server.');
+    process.exit(1);
+  }
+}
+
 // Format branch name: if it's a simple branch name (e.g., "dev"), format it as "branch (dev)"
 // If it's already in "branch (name)" format, keep it as is
 const formatBranchName = (branchName) => {
@@ -130,6 +194,25 @@ const logRequest = (method, params, result, error = null) => {
   }
 };
 
+// Read a JSON state file from the log directory (.setting.<REPO_NAME>/), null if missing or unreadable
+const readStateFile = (fileName) => {
+  const filePath = path.join(getLogConfig().dir, fileName);
+  try {
+    return fs.existsSync(filePath) ? JSON.parse(fs.readFileSync(filePath, 'utf8')) : null;
+  } catch (err) {
+    console.error(`Failed to read state file ${filePath}:`, err.message);
+    return null;
+  }
+};
+
+// Write a JSON state file to the log directory (via a temporary file, so a crash never leaves it half written)
+const writeStateFile = (fileName, data) => {
+  ensureLogDir();
+  const filePath = path.join(getLogConfig().dir, fileName);
+  fs.writeFileSync(`${filePath}.tmp`, JSON.stringify(data, null, 2), 'utf8');
+  fs.renameSync(`${filePath}.tmp`, filePath);
+};
+
 // Get access token from Gitee OAuth
 const getAccessToken = async () => {
   // Return cached token if still valid (with 5 minutes buffer)
@@ -278,7 +361,8 @@ const makeGiteeRequest = async (method, path, data = null, accessToken = null) =
           if (isSuccess) {
             resolve({
               statusCode: res.statusCode,
-              data: parsed
+              data: parsed,
+              headers: res.headers // Pagination info (total_count, total_page) is returned in headers
             });
           } else {
             // Log detailed error for debugging
@@ -401,449 +485,4880 @@ const testGiteePullRequest = async (prNumber, force = false) => {
 };
 
 // Merge Gitee Pull Request
-const mergeGiteePullRequest = async (prNumber) => {
+// Without options a bare PUT is sent and Gitee uses the repository's default merge method
+const mergeGiteePullRequest = async (prNumber, options = {}) => {
   if (!prNumber || typeof prNumber !== 'number') {
     throw new Error('Missing or invalid PR number parameter');
   }
 
-  // Make API request (PUT method, no request body needed for merge)
+  const { merge_method, title, description, prune_source_branch } = options;
+
+  if (merge_method !== undefined && !MERGE_METHODS.includes(merge_method)) {
+    throw new Error(`Invalid merge_method parameter. Must be one of: ${MERGE_METHODS.join(', ')}`);
+  }
+
+  // Build request body (only when options are given)
+  let requestBody = null;
+  if (merge_method !== undefined || title !== undefined || description !== undefined || prune_source_branch !== undefined) {
+    requestBody = {};
+    if (merge_method !== undefined) requestBody.merge_method = merge_method;
+    if (title !== undefined) requestBody.title = title;
+    if (description !== undefined) requestBody.description = description;
+    if (prune_source_branch !== undefined) requestBody.prune_source_branch = prune_source_branch === true;
+  }
+
+  // Make API request (PUT method)
   const apiPath = `/repos/${OWNER}/${REPO}/pulls/${prNumber}/merge`;
   
   // Log merge request
-  console.error(`Merging Pull Request #${prNumber}...`);
+  console.error(`Merging Pull Request #${prNumber}...`, requestBody || '');
   
-  const response = await makeGiteeRequest('PUT', apiPath, null);
+  const response = await makeGiteeRequest('PUT', apiPath, requestBody);
 
   return response;
 };
 
-// Create Gitee Pull Request
-const createGiteePullRequest = async (params) => {
-  const { title, body, draft = false } = params;
+// Check whether a Pull Request can be merged, returns a list of blocking problems (empty when mergeable)
+const getMergeBlockers = (pr) => {
+  const blockers = [];
 
-  if (!title || typeof title !== 'string' || title.trim() === '') {
-    throw new Error('Missing or invalid title parameter');
+  if (pr.state === 'merged') {
+    blockers.push({ reason: 'already_merged', message: `Pull Request #${pr.number} is already merged` });
+  } else if (pr.state !== 'open') {
+    blockers.push({ reason: 'not_open', message: `Pull Request #${pr.number} is ${pr.state}, only open Pull Requests can be merged` });
   }
 
-  // Build request body
-  // Use raw head and base values from environment variables (not formatted)
-  const requestBody = {
-    title: title.trim(),
-    head: HEAD_RAW, // Use raw value from environment variable
-    base: BASE_RAW, // Use raw value from environment variable
-    body: body || '',
-    draft: draft === true || draft === 'true' || draft === 'false' ? (draft === true || draft === 'true') : false
-  };
-
-  // Add optional fields
-  if (ASSIGNEES && ASSIGNEES.trim() !== '') {
-    requestBody.assignees = ASSIGNEES.split(',').map(s => s.trim()).filter(s => s !== '');
+  if (pr.draft) {
+    blockers.push({ reason: 'draft', message: `Pull Request #${pr.number} is a draft, mark it ready (update_pr with draft=false) before merging` });
   }
 
-  if (TESTERS && TESTERS.trim() !== '') {
-    requestBody.testers = TESTERS.split(',').map(s => s.trim()).filter(s => s !== '');
+  if (pr.state === 'open' && pr.mergeable === false) {
+    const head = pr.head ? pr.head.ref : HEAD_RAW;
+    const base = pr.base ? pr.base.ref : BASE_RAW;
+    blockers.push({ reason: 'conflict', message: `Pull Request #${pr.number} has conflicts: branch "${head}" cannot be merged cleanly into "${base}". Merge or rebase "${base}" into "${head}" and resolve the conflicts first` });
   }
 
-  // Process labels: only use environment variable
-  if (LABELS_ENV && LABELS_ENV.trim() !== '') {
-    // Parse labels: comma-separated string, e.g., "bug,performance"
-    // Gitee API expects an array of label names
-    const labelArray = LABELS_ENV.split(',').map(s => s.trim()).filter(s => s !== '');
-    
-    // Validate and filter labels: length 2-20, no special characters
-    // Allowed characters: alphanumeric, underscore, Chinese characters
-    const validLabels = [];
-    for (const label of labelArray) {
-      // Check length: 2-20 characters
-      if (label.length < 2 || label.length > 20) {
-        console.error(`Warning: Invalid label "${label}" (length must be between 2 and 20 characters)`);
-        continue;
-      }
-      
-      // Check characters: only alphanumeric, underscore, and Chinese characters allowed
-      // Non-special characters means no spaces, punctuation, etc.
-      if (!/^[a-zA-Z0-9_\u4e00-\u9fa5]+$/.test(label)) {
-        console.error(`Warning: Invalid label "${label}" (contains special characters, only alphanumeric, underscore, and Chinese characters allowed)`);
-        continue;
-      }
-      
-      validLabels.push(label);
+  return blockers;
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Poll a Pull Request until Gitee reports it mergeable and its reviews and tests are done, or the timeout passes
+// The delay starts at AUTO_MERGE_INTERVAL and is multiplied by AUTO_MERGE_BACKOFF up to AUTO_MERGE_MAX_INTERVAL
+// Returns { status, pr, attempts, waited_ms, pending, blockers } with status ready, conflicted, not_open or timed_out
+const waitForMergeable = async (prNumber, { timeout = AUTO_MERGE_TIMEOUT } = {}) => {
+  const started = Date.now();
+  let delay = AUTO_MERGE_INTERVAL * 1000;
+  let attempts = 0;
+  let unmergeableCount = 0;
+  let policy; // Approvals and testers required by the merge policy are waited for as well
+
+  while (true) {
+    attempts++;
+    const pr = (await makeGiteeRequest('GET', `/repos/${OWNER}/${REPO}/pulls/${prNumber}`, null)).data || {};
+    const blockers = getMergeBlockers(pr);
+    const waited_ms = Date.now() - started;
+
+    if (blockers.some(b => b.reason === 'already_merged' || b.reason === 'not_open')) {
+      return { status: 'not_open', pr, attempts, waited_ms, pending: [], blockers };
     }
-    
-    // Only add labels if we have valid ones
-    if (validLabels.length > 0) {
-      requestBody.labels = validLabels;
-    } else if (labelArray.length > 0) {
-      // If labels were provided but none are valid, log warning but don't add labels
-      console.error('Warning: No valid labels found after validation, skipping labels parameter');
+
+    // Right after creation Gitee may report a PR unmergeable while it is still checking, so a conflict
+    // is only reported when it is seen on two polls in a row
+    unmergeableCount = pr.mergeable === false ? unmergeableCount + 1 : 0;
+    if (unmergeableCount >= 2) {
+      return { status: 'conflicted', pr, attempts, waited_ms, pending: [], blockers };
     }
-  }
 
-  // Make API request
-  const apiPath = `/repos/${OWNER}/${REPO}/pulls`;
-  
-  // Log request body for debugging (without sensitive data)
-  console.error('Creating Pull Request with request body:', {
-    title: requestBody.title,
-    head: requestBody.head,
-    base: requestBody.base,
-    body: requestBody.body ? requestBody.body.substring(0, 50) + '...' : '',
-    draft: requestBody.draft,
-    labels: requestBody.labels,
-    assignees: requestBody.assignees,
-    testers: requestBody.testers
-  });
-  
-  const response = await makeGiteeRequest('POST', apiPath, requestBody);
+    if (policy === undefined) {
+      policy = await loadMergePolicy(pr.base ? pr.base.ref : BASE_RAW);
+    }
+    const { review, test } = summarizePullRequest(pr, [], []);
+    const requiredApprovals = Math.max(review.required, policy && policy.rules.required_approvals || 0);
+    const requiredTesters = Math.max(test.required, policy && policy.rules.required_testers || 0);
+    const pending = [];
+    if (pr.mergeable !== true) {
+      pending.push('Gitee has not reported the Pull Request as mergeable yet');
+    }
+    if (pr.draft) {
+      pending.push('the Pull Request is a draft');
+    }
+    if (review.approved < requiredApprovals) {
+      pending.push(`review: ${review.approved}/${requiredApprovals} approved`);
+    }
+    if (test.passed_count < requiredTesters) {
+      pending.push(`test: ${test.passed_count}/${requiredTesters} passed`);
+    }
 
-  return response;
-};
+    if (pending.length === 0) {
+      return { status: 'ready', pr, attempts, waited_ms, pending, blockers };
+    }
+    if (waited_ms + delay > timeout * 1000) {
+      return { status: 'timed_out', pr, attempts, waited_ms, pending, blockers };
+    }
 
-// 启动日志
-console.error('=== MCP Gitee Pull Request Server Starting ===');
-console.error(`Time: ${new Date().toISOString()}`);
-console.error(`Repository Name (auto-generated from repo): ${REPO_NAME}`);
-console.error(`Owner: ${OWNER}`);
-console.error(`Repo: ${REPO}`);
-console.error(`Head: ${HEAD}`);
-console.error(`Base: ${BASE}`);
-console.error(`AUTO_REVIEW: ${AUTO_REVIEW}`);
-console.error(`AUTO_TEST: ${AUTO_TEST}`);
-console.error(`AUTO_MERGE: ${AUTO_MERGE}`);
-console.error(`Username (from env.username): ${USERNAME ? (USERNAME.length > 10 ? USERNAME.substring(0, 10) + '***' : USERNAME) : '(not set)'}`);
-console.error(`Username length: ${USERNAME.length}`);
-console.error(`Client ID: ${CLIENT_ID ? CLIENT_ID.substring(0, 8) + '***' : '(not set)'}`);
-console.error(`Scope: ${SCOPE}`);
-console.error(`Debug - process.env.scope_username: ${process.env.scope_username ? (process.env.scope_username.length > 10 ? process.env.scope_username.substring(0, 10) + '***' : process.env.scope_username) : '(not set)'}`);
-if (PROJECT_NAME) {
-  console.error(`Project Name: ${PROJECT_NAME}`);
-}
-console.error(`Started via: ${process.argv[1]}`);
+    console.error(`PR #${prNumber} is not ready to merge (${pending.join('; ')}), checking again in ${Math.round(delay / 1000)}s`);
+    await sleep(delay);
+    delay = Math.min(delay * AUTO_MERGE_BACKOFF, AUTO_MERGE_MAX_INTERVAL * 1000);
+  }
+};
 
-// 显示日志配置
-const logConfig = getLogConfig();
-console.error(`Log Directory: ${logConfig.dir}`);
-console.error(`Log File: ${logConfig.fullPath}`);
-console.error('================================');
+// Check the merge windows of the base branch right before an auto merge
+// Returns null when the window is open, otherwise the scheduleMerge summary (outcome "scheduled", or "blocked")
+const scheduleOutsideMergeWindow = async (prNumber, base) => {
+  const mergeWindow = await checkMergeWindow(base);
+  return mergeWindow.open ? null : scheduleMerge({ number: prNumber, base, kind: 'workflow', window: mergeWindow });
+};
 
-// Final MCP Server
-class FinalMCPServer {
-  constructor() {
-    this.name = 'gitee-pull-request-mcp-server';
-    this.version = '1.0.4';
-    this.initialized = false;
+// Auto merge summary of a waitForMergeable result, with a message unless the PR is ready
+// earlier is the summary of a wait that came before this one (the wait before the merge queue), its checks are added
+const summarizeMergeWait = (prNumber, wait, earlier = null) => {
+  const summary = {
+    outcome: wait.status,
+    result: null,
+    attempts: wait.attempts + (earlier ? earlier.attempts : 0),
+    waited_seconds: Math.round(wait.waited_ms / 1000) + (earlier ? earlier.waited_seconds : 0),
+    pending: wait.pending,
+    blockers: wait.blockers
+  };
+  if (wait.status === 'timed_out') {
+    summary.message = `Auto merge of PR #${prNumber} timed out after ${summary.waited_seconds}s, still waiting for: ${wait.pending.join('; ')}`;
+  } else if (wait.status !== 'ready') {
+    summary.message = `Auto merge of PR #${prNumber} not possible: ${wait.blockers.map(b => b.message).join('; ')}`;
   }
+  return summary;
+};
 
-  // Create Gitee Pull Request
-  async pr(params) {
-    const { title, body, draft } = params;
+// Auto merge a Pull Request: with AUTO_MERGE_WAIT once it is ready, otherwise right away,
+// and in both cases only when the merge policy of its base branch is met
+// A merge window that closed during the wait schedules the merge instead
+// timeout limits the wait (the merge queue only rechecks PRs that were ready when they joined it), earlier is passed to summarizeMergeWait
+// Returns { outcome, result, attempts, waited_seconds, pending, blockers, message }, result is the merge response when merged
+const autoMergePullRequest = async (prNumber, { timeout = AUTO_MERGE_TIMEOUT, earlier = null } = {}) => {
+  let summary = { outcome: null, result: null, attempts: 1, waited_seconds: 0, pending: [], blockers: [] };
 
-    try {
-      const result = await createGiteePullRequest({ title, body, draft });
-      
-      // Log operation
-      logRequest('pr', { title, body, draft }, result);
+  let pr;
+  if (AUTO_MERGE_WAIT) {
+    const wait = await waitForMergeable(prNumber, { timeout });
+    summary = summarizeMergeWait(prNumber, wait, earlier);
+    if (wait.status !== 'ready') {
+      return summary;
+    }
+    pr = wait.pr;
+  } else {
+    pr = (await makeGiteeRequest('GET', `/repos/${OWNER}/${REPO}/pulls/${prNumber}`, null)).data || {};
+  }
 
-      // Auto review if enabled
-      let reviewResult = null;
-      if (AUTO_REVIEW && result.data && result.data.number) {
-        try {
-          console.error(`AUTO_REVIEW is enabled, automatically reviewing PR #${result.data.number}...`);
-          reviewResult = await reviewGiteePullRequest(result.data.number, false);
-          console.error(`✓ Auto review completed for PR #${result.data.number}`);
-          logRequest('auto_review', { prNumber: result.data.number, force: false }, reviewResult);
-        } catch (reviewErr) {
-          console.error(`✗ Auto review failed for PR #${result.data.number}:`, reviewErr.error || reviewErr.message);
-          logRequest('auto_review', { prNumber: result.data.number, force: false }, null, reviewErr.error || reviewErr.message);
-          // Don't fail the entire operation if review fails, just log the error
-        }
-      }
+  // Like merge_pr, every reason not to merge is reported at once: a closed, draft or conflicting PR and the merge policy
+  const policyResult = await evaluateMergePolicy(pr);
+  const blockers = [...getMergeBlockers(pr), ...policyResult.violations];
+  if (blockers.length > 0) {
+    summary.outcome = 'blocked';
+    summary.blockers = blockers;
+    summary.message = `Auto merge of PR #${prNumber} blocked (${blockers.length} unmet condition(s))`;
+    return summary;
+  }
 
-      // Auto test if enabled (after review if review was performed)
-      let testResult = null;
-      if (AUTO_TEST && result.data && result.data.number) {
-        try {
-          console.error(`AUTO_TEST is enabled, automatically testing PR #${result.data.number}...`);
-          testResult = await testGiteePullRequest(result.data.number, false);
-          console.error(`✓ Auto test completed for PR #${result.data.number}`);
-          logRequest('auto_test', { prNumber: result.data.number, force: false }, testResult);
-        } catch (testErr) {
-          console.error(`✗ Auto test failed for PR #${result.data.number}:`, testErr.error || testErr.message);
-          logRequest('auto_test', { prNumber: result.data.number, force: false }, null, testErr.error || testErr.message);
-          // Don't fail the entire operation if test fails, just log the error
-        }
-      }
+  if (AUTO_MERGE_WAIT) {
+    const scheduled = await scheduleOutsideMergeWindow(prNumber, pr.base ? pr.base.ref : BASE_RAW);
+    if (scheduled) {
+      return { ...summary, ...scheduled };
+    }
+  }
 
-      // Auto merge if enabled (after test if test was performed and successful)
-      let mergeResult = null;
-      if (AUTO_MERGE && result.data && result.data.number) {
-        // Only merge if test was successful (testResult exists means test succeeded, even if data is null for 204 responses)
-        // Or if AUTO_TEST is false (no test required)
-        const shouldMerge = (!AUTO_TEST || testResult !== null);
-        if (shouldMerge) {
-          try {
-            console.error(`AUTO_MERGE is enabled, automatically merging PR #${result.data.number}...`);
-            mergeResult = await mergeGiteePullRequest(result.data.number);
-            console.error(`✓ Auto merge completed for PR #${result.data.number}`);
-            logRequest('auto_merge', { prNumber: result.data.number }, mergeResult);
-          } catch (mergeErr) {
-            console.error(`✗ Auto merge failed for PR #${result.data.number}:`, mergeErr.error || mergeErr.message);
-            logRequest('auto_merge', { prNumber: result.data.number }, null, mergeErr.error || mergeErr.message);
-            // Don't fail the entire operation if merge fails, just log the error
-          }
-        } else {
-          console.error(`⚠ AUTO_MERGE is enabled but test failed, skipping merge for PR #${result.data.number}`);
-        }
-      }
+  summary.result = await mergeGiteePullRequest(prNumber, policyResult.merge_method ? { merge_method: policyResult.merge_method } : {});
+  summary.outcome = 'merged';
+  summary.message = AUTO_MERGE_WAIT
+    ? `Auto merge completed for PR #${prNumber} after ${summary.waited_seconds}s (${summary.attempts} check(s))`
+    : `Auto merge completed for PR #${prNumber}`;
+  return summary;
+};
 
-      // Return the complete response object from Gitee API
-      const response = {
-        success: true,
-        pull_request: result.data,
-        response: result.data, // Include full response object
-        url: result.data.html_url || result.data.url || null,
-        number: result.data.number || null,
-        message: `🎉 Pull Request created successfully!\n\n📋 **PR Details:**\n• Number: #${result.data.number || 'N/A'}\n• Title: ${result.data.title || title}\n• URL: ${result.data.html_url || result.data.url || 'N/A'}\n\n🔗 **Direct Link:** [View PR #${result.data.number || 'N/A'}](${result.data.html_url || result.data.url || '#'})\n\n⚠️ **IMPORTANT:** Please share this PR link with the team:\n**[${result.data.title || title}](https://gitee.com/${OWNER}/${REPO}/pulls/${result.data.number || 'N/A'})**\n\n📢 **PR URL for AI/Team:** [https://gitee.com/${OWNER}/${REPO}/pulls/${result.data.number || 'N/A'}](https://gitee.com/${OWNER}/${REPO}/pulls/${result.data.number || 'N/A'})\n\n💡 **Next Steps:**\n• Review the changes in the PR\n• Request reviews from team members if needed\n• Monitor CI/CD pipeline status\n• Merge when ready (if auto-merge is not enabled)`
-      };
+// Merge queue: auto merges into the same base branch run one at a time, in the order they were requested,
+// so a merge cannot fail because another PR changed the base while it was being merged
+// "owner/repo/base" -> { key, base, current, entries: [{ number, base_sha, wait, enqueued_at, promise, resolve }] }
+const mergeQueues = new Map();
+const MERGE_QUEUE_RECHECK_TIMEOUT = Math.min(AUTO_MERGE_TIMEOUT, 60); // Seconds a PR at the head of the queue may take to be reported ready again
 
-      // Include review result if auto review was performed
-      if (reviewResult) {
-        response.auto_review = {
-          success: true,
-          review: reviewResult.data,
-          message: `Auto review completed for PR #${result.data.number}`
-        };
-      }
+// Latest commit of a branch (null when the branch API does not return it)
+const getBranchSha = async (branch) => {
+  const response = await makeGiteeRequest('GET', `/repos/${OWNER}/${REPO}/branches/${encodeURIComponent(branch)}`, null);
+  return response.data && response.data.commit ? response.data.commit.sha || null : null;
+};
 
-      // Include test result if auto test was performed
-      if (testResult) {
-        response.auto_test = {
-          success: true,
-          test: testResult.data,
-          message: `Auto test completed for PR #${result.data.number}`
-        };
-      }
+const summarizeQueueEntry = (entry, position) => ({
+  number: entry.number,
+  position,
+  status: position === 0 ? 'merging' : 'waiting',
+  enqueued_at: entry.enqueued_at,
+  started_at: entry.started_at || null
+});
 
-      // Include merge result if auto merge was performed
-      if (mergeResult) {
-        response.auto_merge = {
-          success: true,
-          merge: mergeResult.data,
-          message: `Auto merge completed for PR #${result.data.number}`
-        };
-      }
+// Add a PR to the merge queue of its base branch
+// With AUTO_MERGE_WAIT the PR should have waited until it is ready before (wait is that summary), so that a PR
+// still waiting for reviews does not hold up the merges behind it
+// Resolves with the autoMergePullRequest summary once its turn is done, plus a "queue" section
+const enqueueMerge = async (prNumber, base, wait = null) => {
+  const key = `${OWNER}/${REPO}/${base}`;
+  if (!mergeQueues.has(key)) {
+    mergeQueues.set(key, { key, base, current: null, entries: [] });
+  }
+  const queue = mergeQueues.get(key);
 
-      return response;
-    } catch (err) {
-      // Log operation error
-      logRequest('pr', { title, body, draft }, null, err.error || err.message);
-      
-      // Return detailed error information including response data
-      const errorMessage = `Gitee Pull Request creation failed: ${err.error || err.message}${err.statusCode ? ` (Status: ${err.statusCode})` : ''}`;
-      
-      // Always return error object with response data if available
-      const errorResult = {
-        success: false,
-        error: errorMessage,
-        statusCode: err.statusCode || null,
-        message: `Failed to create Pull Request. Error: ${err.error || err.message}`
-      };
-      
-      // Include response data if available
-      if (err.data) {
-        errorResult.response = err.data;
-      }
-      
-      // Include raw response if available
-      if (err.rawResponse) {
-        errorResult.rawResponse = err.rawResponse;
-      }
-      
-      return errorResult;
-    }
+  const queued = [queue.current, ...queue.entries].find(e => e && e.number === prNumber);
+  if (queued) {
+    return queued.promise;
   }
 
-  // Get access token
-  async token(params) {
-    try {
-      const token = await getAccessToken();
-      
-      // Log operation
-      logRequest('token', {}, { success: true, token: token.substring(0, 10) + '...' });
+  // The base commit at enqueue time tells whether the base moved before the PR's turn
+  let base_sha = null;
+  try {
+    base_sha = await getBranchSha(base);
+  } catch (err) {
+    console.error(`Warning: Failed to read the latest commit of ${base}:`, err.error || err.message);
+  }
 
-      return {
-        success: true,
-        access_token: token,
-        expires_at: new Date(tokenExpiresAt).toISOString(),
-        message: 'Access token retrieved successfully'
-      };
-    } catch (err) {
-      // Log operation error
-      logRequest('token', {}, null, err.error || err.message);
-      
-      throw new Error(`Failed to get access token: ${err.error || err.message}${err.statusCode ? ` (Status: ${err.statusCode})` : ''}`);
-    }
+  const entry = { number: prNumber, base_sha, wait, enqueued_at: new Date().toISOString() };
+  entry.promise = new Promise(resolve => { entry.resolve = resolve; });
+  queue.entries.push(entry);
+  console.error(`PR #${prNumber} added to the merge queue of ${key} (position ${queue.entries.length + (queue.current ? 1 : 0)})`);
+
+  processMergeQueue(queue);
+  return entry.promise;
+};
+
+// Merge the queued PRs one after the other (only one loop per queue runs at a time)
+const processMergeQueue = async (queue) => {
+  if (queue.current) {
+    return;
   }
 
-  // Get operation logs
-  async logs(params) {
-    const { limit = 50, offset = 0 } = params || {};
+  while (queue.entries.length > 0) {
+    const entry = queue.entries.shift();
+    queue.current = entry;
+    entry.started_at = new Date().toISOString();
 
-    // Validate parameters
-    if (typeof limit !== 'number' || limit < 1 || limit > 1000) {
-      throw new Error('Invalid limit parameter. Must be a number between 1 and 1000');
+    let summary;
+    try {
+      summary = await mergeQueueEntry(queue, entry);
+    } catch (err) {
+      summary = { outcome: 'failed', result: null, message: `Auto merge of PR #${entry.number} failed: ${err.error || err.message}` };
     }
 
-    if (typeof offset !== 'number' || offset < 0) {
-      throw new Error('Invalid offset parameter. Must be a non-negative number');
-    }
+    queue.current = null;
+    entry.resolve(summary);
+  }
+};
 
-    // Get logs from memory
-    const logs = operationLogs.slice(offset, offset + limit);
+// Recheck a queued PR and merge it
+// If the base moved since the PR was queued and MERGE_QUEUE_RETEST is set, the auto test is run again first
+const mergeQueueEntry = async (queue, entry) => {
+  const prNumber = entry.number;
+  const queueInfo = {
+    key: queue.key,
+    waited_in_queue_seconds: Math.round((Date.parse(entry.started_at) - Date.parse(entry.enqueued_at)) / 1000),
+    base_moved: false,
+    retested: false
+  };
 
+  // Recheck the PR, it may have been closed or merged while it waited
+  // Conflicts are left to autoMergePullRequest: right after the base moved Gitee may report the PR unmergeable
+  // while it recalculates, and with AUTO_MERGE_WAIT a conflict only counts when seen on two polls in a row
+  const pr = (await makeGiteeRequest('GET', `/repos/${OWNER}/${REPO}/pulls/${prNumber}`, null)).data || {};
+  const blockers = getMergeBlockers(pr).filter(b => b.reason === 'already_merged' || b.reason === 'not_open');
+  if (blockers.length > 0) {
     return {
-      total: operationLogs.length,
-      limit,
-      offset,
-      logs: logs
+      outcome: 'not_open',
+      result: null,
+      blockers,
+      queue: queueInfo,
+      message: `Auto merge of PR #${prNumber} not possible: ${blockers.map(b => b.message).join('; ')}`
     };
   }
 
-  // Handle JSON-RPC requests
-  async handleRequest(request) {
-    let result = null;
-    let error = null;
-    let method = null;
-    let params = null;
-    let id = null;
+  // The PR may have waited in the queue until after its merge window closed
+  const scheduled = await scheduleOutsideMergeWindow(prNumber, queue.base);
+  if (scheduled) {
+    return { ...scheduled, queue: queueInfo };
+  }
 
-    try {
-      // Validate request structure
-      if (!request || typeof request !== 'object') {
-        throw new Error('Invalid request: request must be an object');
-      }
+  try {
+    const sha = await getBranchSha(queue.base);
+    queueInfo.base_moved = !!(sha && entry.base_sha && sha !== entry.base_sha);
+  } catch (err) {
+    console.error(`Warning: Failed to read the latest commit of ${queue.base}:`, err.error || err.message);
+  }
 
-      // Validate JSON-RPC version
-      if (request.jsonrpc !== '2.0') {
-        throw new Error('Unsupported JSON-RPC version. Only 2.0 is supported.');
-      }
+  if (queueInfo.base_moved && MERGE_QUEUE_RETEST) {
+    console.error(`${queue.base} moved since PR #${prNumber} was queued, running the auto test again...`);
+    const testResult = await testGiteePullRequest(prNumber, false);
+    logRequest('auto_test', { prNumber, force: false, retest: true }, testResult);
+    queueInfo.retested = true;
+  }
 
-      // Extract method, params, and id
-      method = request.method;
-      params = request.params;
-      id = request.id; // Can be undefined for notifications
+  const summary = await autoMergePullRequest(prNumber, { timeout: MERGE_QUEUE_RECHECK_TIMEOUT, earlier: entry.wait });
+  summary.queue = queueInfo;
+  return summary;
+};
 
-      // Validate method exists
-      if (!method || typeof method !== 'string') {
-        throw new Error('Invalid request: method is required and must be a string');
+// Remove a waiting PR from its merge queue, the workflow's merge step ends as "dequeued"
+// Returns the removed entry, or null when the PR is not waiting in any queue
+const dequeueMerge = (prNumber) => {
+  for (const queue of mergeQueues.values()) {
+    if (queue.current && queue.current.number === prNumber) {
+      throw new Error(`PR #${prNumber} is being merged right now and cannot be removed from the merge queue`);
+    }
+    const index = queue.entries.findIndex(e => e.number === prNumber);
+    if (index !== -1) {
+      const [entry] = queue.entries.splice(index, 1);
+      entry.resolve({ outcome: 'dequeued', result: null, queue: { key: queue.key }, message: `PR #${prNumber} was removed from the merge queue of ${queue.key}` });
+      return { ...summarizeQueueEntry(entry, index + 1), key: queue.key };
+    }
+  }
+  return null;
+};
+
+// Validate and filter labels: length 2-20, no special characters
+// Accepts a comma-separated string (e.g., "bug,performance") or an array of label names
+const validateLabels = (labels) => {
+  const labelArray = (Array.isArray(labels) ? labels : String(labels || '').split(','))
+    .map(s => String(s).trim())
+    .filter(s => s !== '');
+
+  // Allowed characters: alphanumeric, underscore, Chinese characters
+  const validLabels = [];
+  const warnings = [];
+  for (const label of labelArray) {
+    // Check length: 2-20 characters
+    if (label.length < 2 || label.length > 20) {
+      warnings.push(`Invalid label "${label}" (length must be between 2 and 20 characters)`);
+      continue;
+    }
+    
+    // Check characters: only alphanumeric, underscore, and Chinese characters allowed
+    // Non-special characters means no spaces, punctuation, etc.
+    if (!/^[a-zA-Z0-9_\u4e00-\u9fa5]+$/.test(label)) {
+      warnings.push(`Invalid label "${label}" (contains special characters, only alphanumeric, underscore, and Chinese characters allowed)`);
+      continue;
+    }
+    
+    validLabels.push(label);
+  }
+
+  warnings.forEach(warning => console.error(`Warning: ${warning}`));
+
+  return { labelArray, validLabels, warnings };
+};
+
+// Built-in label aliases, only applied when the target label exists in the repository
+const DEFAULT_LABEL_ALIASES = {
+  bugfix: 'bug',
+  fix: 'bug',
+  feat: 'feature',
+  enhancement: 'feature',
+  doc: 'documentation',
+  docs: 'documentation'
+};
+
+// Parse LABEL_ALIASES ("alias=label,alias=label") into a lowercase alias map
+const parseLabelAliases = (value) => {
+  const aliases = { ...DEFAULT_LABEL_ALIASES };
+  String(value || '').split(',').forEach(pair => {
+    const [alias, target] = pair.split('=').map(s => (s || '').trim());
+    if (alias && target) {
+      aliases[alias.toLowerCase()] = target;
+    }
+  });
+  return aliases;
+};
+
+const LABEL_ALIASES = parseLabelAliases(LABEL_ALIASES_ENV);
+
+// Repository labels cache, keyed by owner/repo
+const LABEL_CACHE_TTL = 5 * 60 * 1000; // 5 minutes
+const labelCache = new Map();
+
+// Get the label names of the repository (cached)
+const getRepositoryLabels = async () => {
+  const key = `${OWNER}/${REPO}`;
+  const cached = labelCache.get(key);
+  if (cached && Date.now() - cached.fetchedAt < LABEL_CACHE_TTL) {
+    return cached.labels;
+  }
+
+  const labels = (await fetchAllPages(`/repos/${OWNER}/${REPO}/labels`)).map(label => label.name).filter(Boolean);
+  labelCache.set(key, { labels, fetchedAt: Date.now() });
+  return labels;
+};
+
+// Match labels against the repository's labels
+// Exact, case-insensitive and alias matches are mapped to the repository label; missing labels are
+// created when createMissing is set (only reported when dryRun is set), otherwise dropped
+// Returns { labels, created, missing, warnings }, missing has the dropped labels
+const resolveRepositoryLabels = async (labels, options = {}) => {
+  const { createMissing = false, dryRun = false } = options;
+  const warnings = [];
+  const created = [];
+  const missing = [];
+
+  let repoLabels;
+  try {
+    repoLabels = await getRepositoryLabels();
+  } catch (err) {
+    // Without the label list the labels are sent as they are
+    warnings.push(`Could not fetch repository labels, labels were not checked: ${err.error || err.message}`);
+    return { labels, created, missing, warnings };
+  }
+
+  const byLowerName = new Map(repoLabels.map(name => [name.toLowerCase(), name]));
+  const resolved = [];
+  for (const label of labels) {
+    const lower = label.toLowerCase();
+    const alias = LABEL_ALIASES[lower];
+    let match = byLowerName.get(lower);
+    if (!match && alias) {
+      match = byLowerName.get(alias.toLowerCase());
+    }
+
+    if (match) {
+      if (match !== label) {
+        warnings.push(`Label "${label}" mapped to existing label "${match}"`);
+      }
+      resolved.push(match);
+    } else if (createMissing) {
+      if (dryRun) {
+        warnings.push(`Label "${label}" does not exist and would be created (color #${LABEL_COLOR})`);
+      } else {
+        try {
+          await makeGiteeRequest('POST', `/repos/${OWNER}/${REPO}/labels`, { name: label, color: LABEL_COLOR });
+          repoLabels.push(label);
+          byLowerName.set(lower, label);
+          created.push(label);
+          warnings.push(`Label "${label}" did not exist and was created (color #${LABEL_COLOR})`);
+        } catch (err) {
+          warnings.push(`Label "${label}" does not exist and could not be created: ${err.error || err.message}`);
+          missing.push(label);
+          continue;
+        }
+      }
+      resolved.push(label);
+    } else {
+      warnings.push(`Label "${label}" does not exist in ${OWNER}/${REPO} and was skipped (use create_missing_labels to create it)`);
+      missing.push(label);
+    }
+  }
+
+  warnings.forEach(warning => console.error(`Warning: ${warning}`));
+
+  return { labels: [...new Set(resolved)], created, missing, warnings };
+};
+
+// Validate labels and match them against the repository's labels (see validateLabels and resolveRepositoryLabels)
+// Shared by pr and update_pr, so both treat the same labels the same way
+// Returns { labels, warnings, skipped }, skipped says why when labels were given but none can be used
+const prepareLabels = async (labelList, options = {}) => {
+  const { labelArray, validLabels, warnings } = validateLabels(labelList);
+  const resolved = validLabels.length > 0
+    ? await resolveRepositoryLabels(validLabels, options)
+    : { labels: [], missing: [], warnings: [] };
+  warnings.push(...resolved.warnings);
+
+  let skipped = null;
+  if (resolved.labels.length === 0 && labelArray.length > 0) {
+    const invalid = labelArray.filter(label => !validLabels.includes(label));
+    skipped = [
+      resolved.missing.length > 0 ? `not in ${OWNER}/${REPO}: ${resolved.missing.join(', ')}` : null,
+      invalid.length > 0 ? `invalid: ${invalid.join(', ')}` : null
+    ].filter(Boolean).join('; ');
+  }
+
+  return { labels: resolved.labels, warnings, skipped };
+};
+
+// Repository collaborators cache, keyed by owner/repo
+const collaboratorCache = new Map();
+const COLLABORATOR_CACHE_TTL = 5 * 60 * 1000; // 5 minutes
+
+// Fetch all pages of a Gitee list endpoint (at most maxPages pages of 100)
+const fetchAllPages = async (apiPath, maxPages = 10) => {
+  const items = [];
+  for (let page = 1; page <= maxPages; page++) {
+    const separator = apiPath.includes('?') ? '&' : '?';
+    const response = await makeGiteeRequest('GET', `${apiPath}${separator}page=${page}&per_page=100`, null);
+    const data = Array.isArray(response.data) ? response.data : [];
+    items.push(...data);
+    if (data.length < 100) break;
+  }
+  return items;
+};
+
+// Get the people who can be assigned as reviewers or testers (cached)
+// Repository collaborators, plus enterprise members when ENTERPRISE is configured
+// Returns [{ login, name, email, source }]
+const getRepositoryCollaborators = async () => {
+  const key = `${OWNER}/${REPO}`;
+  const cached = collaboratorCache.get(key);
+  if (cached && Date.now() - cached.fetchedAt < COLLABORATOR_CACHE_TTL) {
+    return cached.people;
+  }
+
+  const people = new Map();
+  const addPerson = (user, source) => {
+    if (user && user.login && !people.has(user.login.toLowerCase())) {
+      people.set(user.login.toLowerCase(), { login: user.login, name: user.name || null, email: user.email || null, source });
+    }
+  };
+
+  (await fetchAllPages(`/repos/${OWNER}/${REPO}/collaborators`)).forEach(user => addPerson(user, 'collaborator'));
+
+  if (ENTERPRISE) {
+    try {
+      // Enterprise members are returned as { user, remark, ... }
+      (await fetchAllPages(`/enterprises/${encodeURIComponent(ENTERPRISE)}/members`)).forEach(member => addPerson(
+        { ...(member.user || member), name: member.remark || (member.user || member).name },
+        'enterprise'
+      ));
+    } catch (err) {
+      console.error(`Warning: Failed to fetch members of enterprise ${ENTERPRISE}:`, err.error || err.message);
+    }
+  }
+
+  const list = [...people.values()];
+  collaboratorCache.set(key, { people: list, fetchedAt: Date.now() });
+  return list;
+};
+
+// Levenshtein distance between two strings
+const editDistance = (a, b) => {
+  const row = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    let previous = row[0];
+    row[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const current = row[j];
+      row[j] = Math.min(row[j] + 1, row[j - 1] + 1, previous + (a[i - 1] === b[j - 1] ? 0 : 1));
+      previous = current;
+    }
+  }
+  return row[b.length];
+};
+
+// Suggest up to 3 people whose login or name is close to the given name
+const suggestPeople = (name, people) => {
+  const lower = name.toLowerCase();
+  return people
+    .map(person => {
+      const candidates = [person.login, person.name].filter(Boolean).map(v => v.toLowerCase());
+      const distance = Math.min(...candidates.map(c => (c.includes(lower) || lower.includes(c) ? 1 : editDistance(lower, c))));
+      return { person, distance };
+    })
+    .filter(({ distance }) => distance <= Math.max(2, Math.floor(lower.length / 3)))
+    .sort((a, b) => a.distance - b.distance)
+    .slice(0, 3)
+    .map(({ person }) => (person.name ? `${person.login} (${person.name})` : person.login));
+};
+
+// Resolve reviewer/tester names (login, display name or email) to Gitee logins
+// Unknown names are skipped with a warning that lists the closest matches
+// Returns { logins, warnings }
+const resolvePeople = async (names, role) => {
+  const warnings = [];
+  let people;
+  try {
+    people = await getRepositoryCollaborators();
+  } catch (err) {
+    // Without the collaborator list the names are sent as they are
+    warnings.push(`Could not fetch collaborators, ${role} were not checked: ${err.error || err.message}`);
+    return { logins: names, warnings };
+  }
+
+  const logins = [];
+  for (const name of names) {
+    const lower = name.replace(/^@/, '').toLowerCase();
+    const matches = [
+      people.filter(p => p.login.toLowerCase() === lower),
+      people.filter(p => p.email && p.email.toLowerCase() === lower),
+      people.filter(p => p.name && p.name.toLowerCase() === lower)
+    ].find(list => list.length > 0) || [];
+
+    if (matches.length === 1) {
+      if (matches[0].login !== name.replace(/^@/, '')) {
+        warnings.push(`${role}: "${name}" resolved to ${matches[0].login}`);
+      }
+      logins.push(matches[0].login);
+    } else if (matches.length > 1) {
+      warnings.push(`${role}: "${name}" matches several people (${matches.map(p => p.login).join(', ')}) and was skipped, use a login`);
+    } else {
+      const suggestions = suggestPeople(lower, people);
+      warnings.push(`${role}: "${name}" is not a collaborator of ${OWNER}/${REPO} and was skipped${suggestions.length > 0 ? `. Did you mean: ${suggestions.join(', ')}?` : ''}`);
+    }
+  }
+
+  warnings.forEach(warning => console.error(`Warning: ${warning}`));
+
+  return { logins: [...new Set(logins)], warnings };
+};
+
+// Reviewer pool rotation state, persisted in reviewer-pool.json next to the log file
+const REVIEWER_POOL_STATE_FILE = 'reviewer-pool.json';
+
+// Get the login of the authenticated user (the PR author)
+let currentUserLogin = null;
+const getCurrentUserLogin = async () => {
+  if (!currentUserLogin) {
+    const response = await makeGiteeRequest('GET', '/user', null);
+    currentUserLogin = response.data && response.data.login ? response.data.login : null;
+  }
+  return currentUserLogin;
+};
+
+// Count the open PRs of the repository each person is assigned to review
+const getOpenReviewLoad = async () => {
+  const load = {};
+  const pullRequests = await fetchAllPages(`/repos/${OWNER}/${REPO}/pulls?state=open`);
+  pullRequests.forEach(pr => {
+    (pr.assignees || []).forEach(assignee => {
+      const login = (assignee.login || '').toLowerCase();
+      if (login) {
+        load[login] = (load[login] || 0) + 1;
+      }
+    });
+  });
+  return load;
+};
+
+// Pick reviewers from REVIEWER_POOL
+// round_robin continues after the last picked member, least_loaded prefers members with fewer open reviews;
+// the PR author, unavailable members, members at REVIEWER_MAX_OPEN and already chosen reviewers are skipped
+// Returns { picks, reasons, warnings, nextIndex } (nextIndex is saved with saveReviewerPoolState once the PR exists)
+const pickPoolReviewers = async (exclude = []) => {
+  const pool = parseNameList(REVIEWER_POOL);
+  const unavailable = parseNameList(REVIEWER_UNAVAILABLE).map(n => n.toLowerCase());
+  const warnings = [];
+  const reasons = [];
+  const excluded = new Set(exclude.map(n => n.toLowerCase()));
+
+  if (pool.length === 0) {
+    return { picks: [], reasons, warnings: [`Reviewer pool: REVIEWER_POOL "${REVIEWER_POOL}" has no members`], nextIndex: null };
+  }
+
+  try {
+    const author = await getCurrentUserLogin();
+    if (author) excluded.add(author.toLowerCase());
+  } catch (err) {
+    warnings.push(`Could not determine the PR author for the reviewer pool: ${err.error || err.message}`);
+  }
+
+  let load = null;
+  if (REVIEWER_POOL_MODE === 'least_loaded' || REVIEWER_MAX_OPEN > 0) {
+    try {
+      load = await getOpenReviewLoad();
+    } catch (err) {
+      warnings.push(`Could not count open reviews, the reviewer pool ignores load: ${err.error || err.message}`);
+    }
+  }
+
+  const state = readStateFile(REVIEWER_POOL_STATE_FILE) || {};
+  const repoState = state[`${OWNER}/${REPO}`] || {};
+  const start = (repoState.next_index || 0) % pool.length;
+
+  // Candidates in rotation order, starting after the last picked member
+  const candidates = pool
+    .map((login, index) => ({ login, index, order: (index - start + pool.length) % pool.length, open: load ? load[login.toLowerCase()] || 0 : null }))
+    .filter(c => {
+      const lower = c.login.toLowerCase();
+      if (excluded.has(lower)) return false;
+      if (unavailable.includes(lower)) return false;
+      if (REVIEWER_MAX_OPEN > 0 && c.open >= REVIEWER_MAX_OPEN) {
+        warnings.push(`Reviewer pool: ${c.login} skipped, already reviewing ${c.open} open PR(s) (cap ${REVIEWER_MAX_OPEN})`);
+        return false;
+      }
+      return true;
+    })
+    .sort((a, b) => (REVIEWER_POOL_MODE === 'least_loaded' ? a.open - b.open || a.order - b.order : a.order - b.order));
+
+  const picked = candidates.slice(0, REVIEWER_POOL_SIZE);
+  if (picked.length < REVIEWER_POOL_SIZE) {
+    warnings.push(`Reviewer pool: only ${picked.length} of ${REVIEWER_POOL_SIZE} reviewer(s) available`);
+  }
+  picked.forEach(c => reasons.push({
+    login: c.login,
+    role: 'reviewer',
+    rule: `reviewer pool (${REVIEWER_POOL_MODE})`,
+    group: null,
+    files: [],
+    open_reviews: c.open
+  }));
+
+  // The rotation continues after the last picked member in pool order
+  const lastIndex = picked.length > 0 ? Math.max(...picked.map(c => (c.index - start + pool.length) % pool.length)) : -1;
+  return {
+    picks: picked.map(c => c.login),
+    reasons,
+    warnings,
+    nextIndex: lastIndex >= 0 ? (start + lastIndex + 1) % pool.length : start
+  };
+};
+
+// Save the reviewer pool rotation after a PR was created
+const saveReviewerPoolState = (pool) => {
+  if (pool.nextIndex === null) {
+    return;
+  }
+  try {
+    const state = readStateFile(REVIEWER_POOL_STATE_FILE) || {};
+    state[`${OWNER}/${REPO}`] = { next_index: pool.nextIndex, last_picked: pool.picks, updated_at: new Date().toISOString() };
+    writeStateFile(REVIEWER_POOL_STATE_FILE, state);
+  } catch (err) {
+    console.error('Failed to save reviewer pool state:', err.message);
+  }
+};
+
+// PR creations that pick from the reviewer pool run one after the other, from reading the rotation to saving it,
+// so PRs created at the same time do not pick the same reviewer (a promise chain, like the merge queue)
+let reviewerPoolChain = Promise.resolve();
+const withReviewerPoolLock = (fn) => {
+  const run = reviewerPoolChain.then(fn);
+  reviewerPoolChain = run.catch(() => {});
+  return run;
+};
+
+// Get the milestones of the repository (state: open, closed or all)
+const getRepositoryMilestones = async (state = 'all') => {
+  return fetchAllPages(`/repos/${OWNER}/${REPO}/milestones?state=${encodeURIComponent(state)}`, 5);
+};
+
+// Resolve a milestone title or number to an open milestone of the repository
+// Fails when the milestone does not exist, is closed, or its title matches several milestones
+const resolveMilestone = async (value) => {
+  const wanted = String(value).trim();
+  const milestones = await getRepositoryMilestones('all');
+
+  let matches = /^\d+$/.test(wanted) ? milestones.filter(m => String(m.number) === wanted || String(m.id) === wanted) : [];
+  if (matches.length === 0) {
+    matches = milestones.filter(m => (m.title || '').trim().toLowerCase() === wanted.toLowerCase());
+  }
+
+  const openTitles = milestones.filter(m => m.state !== 'closed').map(m => `"${m.title}" (#${m.number})`);
+  if (matches.length === 0) {
+    throw new Error(`Milestone "${wanted}" not found in ${OWNER}/${REPO}. Open milestones: ${openTitles.length > 0 ? openTitles.join(', ') : 'none'}`);
+  }
+
+  const open = matches.filter(m => m.state !== 'closed');
+  if (open.length === 0) {
+    throw new Error(`Milestone "${matches[0].title}" (#${matches[0].number}) is closed. Open milestones: ${openTitles.length > 0 ? openTitles.join(', ') : 'none'}`);
+  }
+  if (open.length > 1) {
+    throw new Error(`Milestone "${wanted}" is ambiguous, it matches ${open.map(m => `"${m.title}" (#${m.number})`).join(', ')}. Use the milestone number`);
+  }
+
+  return open[0];
+};
+
+// Summarize a Gitee milestone for tool results
+const summarizeMilestone = (m) => ({
+  number: m.number,
+  title: m.title,
+  state: m.state,
+  due_on: m.due_on || null,
+  open_issues: m.open_issues !== undefined ? m.open_issues : null,
+  closed_issues: m.closed_issues !== undefined ? m.closed_issues : null,
+  url: m.html_url || null
+});
+
+// Parse a comma-separated string or an array into a list of trimmed, non-empty names
+const parseNameList = (value) => {
+  return (Array.isArray(value) ? value : String(value || '').split(','))
+    .map(s => String(s).trim())
+    .filter(s => s !== '');
+};
+
+// Combine a per-call list with the environment default
+// "override" replaces the default when the argument is given (an empty list clears it), "merge" adds to it
+const resolveNameList = (envValue, callValue, strategy) => {
+  const envList = parseNameList(envValue);
+  if (callValue === undefined || callValue === null) {
+    return envList;
+  }
+  const callList = parseNameList(callValue);
+  return strategy === 'merge' ? [...new Set([...envList, ...callList])] : callList;
+};
+
+// Build the request body for creating a Gitee Pull Request
+// labels, assignees and testers from the call are combined with the environment defaults according to merge_strategy
+// Labels are checked against the repository (see resolveRepositoryLabels); with dry_run nothing is created
+// Reviewers and testers from matching owners rules (changed_files) are added on top
+// Returns { requestBody, warnings, assignments, pool }
+const buildPullRequestBody = async (params) => {
+  const { title, body, draft = false, labels, assignees, testers, milestone, merge_strategy = 'override', create_missing_labels = CREATE_MISSING_LABELS, dry_run = false, changed_files } = params;
+  const { head = HEAD_RAW, base = BASE_RAW } = params;
+
+  if (!title || typeof title !== 'string' || title.trim() === '') {
+    throw new Error('Missing or invalid title parameter');
+  }
+
+  if (!MERGE_STRATEGIES.includes(merge_strategy)) {
+    throw new Error(`Invalid merge_strategy parameter. Must be one of: ${MERGE_STRATEGIES.join(', ')}`);
+  }
+
+  // Build request body
+  // Use raw head and base values from environment variables (not formatted)
+  const requestBody = {
+    title: title.trim(),
+    head, // Raw branch name from the environment or the call (not formatted)
+    base,
+    body: body || '',
+    draft: draft === true || draft === 'true' || draft === 'false' ? (draft === true || draft === 'true') : false
+  };
+  const warnings = [];
+  let assignments = [];
+
+  // Add optional fields, resolved against the repository collaborators
+  // With a reviewer pool, picks from the pool take the place of the assignees default
+  const callAssignees = assignees !== undefined && assignees !== null;
+  const usePool = REVIEWER_POOL !== '' && !(callAssignees && merge_strategy === 'override');
+  const assigneeList = usePool ? parseNameList(assignees) : resolveNameList(ASSIGNEES, assignees, merge_strategy);
+  const testerList = resolveNameList(TESTERS, testers, merge_strategy);
+  let pool = null;
+
+  // Owners rules: reviewers and testers for the changed paths
+  if (OWNERS_FILE) {
+    if (!changed_files) {
+      warnings.push('Changed files are not known, owners rules were not applied');
+    } else {
+      try {
+        const owners = await loadOwnersRules(base);
+        const matched = matchOwnersRules(owners, changed_files);
+        matched.assignees.forEach(login => { if (!assigneeList.includes(login)) assigneeList.push(login); });
+        matched.testers.forEach(login => { if (!testerList.includes(login)) testerList.push(login); });
+        assignments = matched.reasons.map(reason => ({ ...reason, source: owners.source }));
+      } catch (err) {
+        warnings.push(`Owners rules were not applied: ${err.error || err.message}`);
       }
+    }
+  }
+
+  // Reviewer pool: reviewers in addition to the ones already chosen
+  if (usePool) {
+    pool = await pickPoolReviewers(assigneeList);
+    warnings.push(...pool.warnings);
+    pool.picks.forEach(login => assigneeList.push(login));
+    assignments.push(...pool.reasons);
+  }
+
+  if (assigneeList.length > 0) {
+    const resolved = await resolvePeople(assigneeList, 'assignees');
+    warnings.push(...resolved.warnings);
+    if (resolved.logins.length > 0) {
+      requestBody.assignees = resolved.logins;
+    }
+  }
+
+  if (testerList.length > 0) {
+    const resolved = await resolvePeople(testerList, 'testers');
+    warnings.push(...resolved.warnings);
+    if (resolved.logins.length > 0) {
+      requestBody.testers = resolved.logins;
+    }
+  }
+
+  // Process labels: environment defaults and per-call labels go through the same validation
+  const labelList = resolveNameList(LABELS_ENV, labels, merge_strategy);
+  if (labelList.length > 0) {
+    // Only add labels if we have valid ones that exist in the repository (or were created)
+    const prepared = await prepareLabels(labelList, { createMissing: create_missing_labels === true || create_missing_labels === 'true', dryRun: dry_run });
+    warnings.push(...prepared.warnings);
+    if (prepared.labels.length > 0) {
+      // Gitee API expects an array of label names
+      requestBody.labels = prepared.labels;
+    } else if (prepared.skipped) {
+      // If labels were provided but none can be used, log warning but don't add labels
+      console.error(`Warning: No usable labels (${prepared.skipped}), skipping labels parameter`);
+      warnings.push(`No usable labels (${prepared.skipped}), labels were skipped`);
+    }
+  }
+
+  // Milestone from the call (an empty value clears the default) or from the environment
+  const milestoneValue = milestone !== undefined && milestone !== null ? String(milestone).trim() : MILESTONE_ENV;
+  if (milestoneValue !== '') {
+    requestBody.milestone_number = (await resolveMilestone(milestoneValue)).number;
+  }
+
+  // Only explain assignments of people who were kept after resolving
+  assignments = assignments.filter(a => ((a.role === 'reviewer' ? requestBody.assignees : requestBody.testers) || []).includes(a.login));
+
+  return { requestBody, warnings, assignments, pool };
+};
+
+// Create Gitee Pull Request
+const createGiteePullRequest = (params) => (REVIEWER_POOL ? withReviewerPoolLock(() => postPullRequest(params)) : postPullRequest(params));
+
+const postPullRequest = async (params) => {
+  const { requestBody, warnings, assignments, pool } = await buildPullRequestBody(params);
+
+  // Make API request
+  const apiPath = `/repos/${OWNER}/${REPO}/pulls`;
+  
+  // Log request body for debugging (without sensitive data)
+  console.error('Creating Pull Request with request body:', {
+    title: requestBody.title,
+    head: requestBody.head,
+    base: requestBody.base,
+    body: requestBody.body ? requestBody.body.substring(0, 50) + '...' : '',
+    draft: requestBody.draft,
+    labels: requestBody.labels,
+    assignees: requestBody.assignees,
+    testers: requestBody.testers,
+    milestone_number: requestBody.milestone_number
+  });
+  
+  const response = await makeGiteeRequest('POST', apiPath, requestBody);
+
+  // Advance the reviewer pool rotation only once the PR exists
+  if (pool) {
+    saveReviewerPoolState(pool);
+  }
+
+  return { ...response, warnings, assignments };
+};
+
+// Update Gitee Pull Request
+// Only fields that differ from the current PR are sent; returns the changes as { field: { from, to } }
+const updateGiteePullRequest = async (prNumber, params) => {
+  const { title, body, labels, milestone_number, draft, state, create_missing_labels = CREATE_MISSING_LABELS } = params;
+
+  if (title !== undefined && (typeof title !== 'string' || title.trim() === '')) {
+    throw new Error('Invalid title parameter. Must be a non-empty string');
+  }
+
+  if (state !== undefined && !['open', 'closed'].includes(state)) {
+    throw new Error('Invalid state parameter. Must be one of: open, closed');
+  }
+
+  if (milestone_number !== undefined && milestone_number !== null && (typeof milestone_number !== 'number' || milestone_number < 0)) {
+    throw new Error('Invalid milestone_number parameter. Must be a non-negative number');
+  }
+
+  const apiPath = `/repos/${OWNER}/${REPO}/pulls/${prNumber}`;
+  const current = (await makeGiteeRequest('GET', apiPath, null)).data || {};
+
+  const requestBody = {};
+  const changes = {};
+  const warnings = [];
+  const setField = (field, from, to, value = to) => {
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      requestBody[field] = value;
+      changes[field] = { from, to };
+    }
+  };
+
+  if (title !== undefined) {
+    setField('title', current.title, title.trim());
+  }
+
+  if (body !== undefined) {
+    setField('body', current.body || '', body || '');
+  }
+
+  if (labels !== undefined) {
+    // Same validation, alias mapping and repository check as the labels of the pr tool; an empty list removes all labels
+    const labelList = parseNameList(labels);
+    const prepared = labelList.length > 0
+      ? await prepareLabels(labelList, { createMissing: create_missing_labels === true || create_missing_labels === 'true' })
+      : { labels: [], warnings: [], skipped: null };
+    warnings.push(...prepared.warnings);
+    if (prepared.skipped) {
+      throw new Error(`No usable labels (${prepared.skipped})`);
+    }
+    const currentLabels = (current.labels || []).map(l => l.name).sort();
+    setField('labels', currentLabels, [...prepared.labels].sort(), prepared.labels);
+  }
+
+  if (milestone_number !== undefined) {
+    setField('milestone_number', current.milestone ? current.milestone.number : null, milestone_number || null, milestone_number || 0);
+  }
+
+  if (draft !== undefined) {
+    setField('draft', current.draft === true, draft === true || draft === 'true');
+  }
+
+  if (state !== undefined) {
+    setField('state', current.state, state);
+  }
+
+  if (Object.keys(requestBody).length === 0) {
+    return { pullRequest: current, changes, warnings };
+  }
+
+  console.error(`Updating Pull Request #${prNumber} with request body:`, {
+    ...requestBody,
+    body: requestBody.body ? requestBody.body.substring(0, 50) + '...' : requestBody.body
+  });
+
+  const response = await makeGiteeRequest('PATCH', apiPath, requestBody);
+
+  return { pullRequest: response.data || current, changes, warnings };
+};
+
+// List Gitee Pull Requests
+const listGiteePullRequests = async (params) => {
+  const {
+    state = 'open',
+    head,
+    base,
+    author,
+    labels,
+    created_after,
+    created_before,
+    sort,
+    direction,
+    page = 1,
+    per_page = 20
+  } = params;
+
+  if (!['open', 'closed', 'merged', 'all'].includes(state)) {
+    throw new Error('Invalid state parameter. Must be one of: open, closed, merged, all');
+  }
+
+  if (typeof page !== 'number' || page < 1) {
+    throw new Error('Invalid page parameter. Must be a positive number');
+  }
+
+  if (typeof per_page !== 'number' || per_page < 1 || per_page > 100) {
+    throw new Error('Invalid per_page parameter. Must be a number between 1 and 100');
+  }
+
+  const createdAfter = created_after ? new Date(created_after) : null;
+  const createdBefore = created_before ? new Date(created_before) : null;
+  if ((createdAfter && isNaN(createdAfter.getTime())) || (createdBefore && isNaN(createdBefore.getTime()))) {
+    throw new Error('Invalid created_after/created_before parameter. Must be an ISO 8601 date');
+  }
+
+  // Build query string
+  const query = new URLSearchParams();
+  query.append('state', state);
+  if (head) query.append('head', head);
+  if (base) query.append('base', base);
+  if (author) query.append('author', author);
+  if (labels) {
+    // Accept both "bug,performance" and ["bug", "performance"]
+    const labelList = Array.isArray(labels) ? labels : String(labels).split(',');
+    query.append('labels', labelList.map(s => s.trim()).filter(s => s !== '').join(','));
+  }
+  // Gitee only filters by update time; a PR created after created_after is always updated after it too,
+  // so "since" is a safe pre-filter and the exact creation range is applied below
+  if (createdAfter) query.append('since', createdAfter.toISOString());
+  if (sort) query.append('sort', sort);
+  if (direction) query.append('direction', direction);
+
+  // The creation range is filtered here, so the matching PRs are collected from up to
+  // LIST_FILTER_MAX_PAGES pages and paged locally; page, count and totals then describe the filtered list
+  if (createdAfter || createdBefore) {
+    console.error('Listing Pull Requests created in range with query:', query.toString());
+    const fetched = await fetchAllPages(`/repos/${OWNER}/${REPO}/pulls?${query.toString()}`, LIST_FILTER_MAX_PAGES);
+    const matching = fetched.filter(pr => {
+      const createdAt = new Date(pr.created_at);
+      if (createdAfter && createdAt < createdAfter) return false;
+      if (createdBefore && createdAt > createdBefore) return false;
+      return true;
+    });
+    return {
+      pullRequests: matching.slice((page - 1) * per_page, page * per_page),
+      totalCount: matching.length,
+      totalPage: Math.max(Math.ceil(matching.length / per_page), 1),
+      // More PRs than were searched: later matches are missing from the totals
+      truncated: fetched.length >= LIST_FILTER_MAX_PAGES * 100
+    };
+  }
+
+  query.append('page', String(page));
+  query.append('per_page', String(per_page));
+
+  const apiPath = `/repos/${OWNER}/${REPO}/pulls?${query.toString()}`;
+
+  console.error('Listing Pull Requests with query:', query.toString());
+
+  const response = await makeGiteeRequest('GET', apiPath, null);
+
+  const headers = response.headers || {};
+  return {
+    pullRequests: Array.isArray(response.data) ? response.data : [],
+    totalCount: headers.total_count ? parseInt(headers.total_count, 10) : null,
+    totalPage: headers.total_page ? parseInt(headers.total_page, 10) : null,
+    truncated: false
+  };
+};
+
+// Find an open Pull Request from head to base
+// head may be "branch" or "username:branch" (fork), as accepted by the Gitee API
+const findOpenPullRequest = async (head, base) => {
+  const [headOwner, headBranch] = head.includes(':') ? head.split(':') : [null, head];
+  const { pullRequests } = await listGiteePullRequests({ state: 'open', head, base, per_page: 100 });
+
+  // Filter again locally in case the API ignores or loosely matches the branch filters
+  return pullRequests.find(pr => {
+    if (!pr.head || !pr.base || pr.head.ref !== headBranch || pr.base.ref !== base) {
+      return false;
+    }
+    if (headOwner && pr.head.repo && pr.head.repo.full_name) {
+      return pr.head.repo.full_name.split('/')[0] === headOwner;
+    }
+    return true;
+  }) || null;
+};
+
+// Compare two branches: commits and changed files that head would bring into base
+const compareGiteeBranches = async (base, head) => {
+  const apiPath = `/repos/${OWNER}/${REPO}/compare/${encodeURIComponent(base)}...${encodeURIComponent(head)}`;
+
+  console.error(`Comparing branches ${base}...${head}...`);
+
+  const response = await makeGiteeRequest('GET', apiPath, null);
+  const data = response.data || {};
+  const commits = Array.isArray(data.commits) ? data.commits : [];
+  const files = (Array.isArray(data.files) ? data.files : []).map(f => ({
+    filename: f.filename,
+    status: f.status,
+    additions: parseInt(f.additions, 10) || 0,
+    deletions: parseInt(f.deletions, 10) || 0
+  }));
+
+  return {
+    // No commits ahead of base means there is nothing to merge
+    identical: commits.length === 0,
+    commits: commits.map(summarizeCommit),
+    files
+  };
+};
+
+// Section headings for conventional commit types, in output order
+const COMMIT_TYPE_SECTIONS = [
+  { types: ['feat'], title: '✨ Features' },
+  { types: ['fix'], title: '🐛 Bug Fixes' },
+  { types: ['perf'], title: '⚡ Performance' },
+  { types: ['refactor'], title: '♻️ Refactoring' },
+  { types: ['docs'], title: '📝 Documentation' },
+  { types: ['test'], title: '✅ Tests' },
+  { types: ['build', 'ci'], title: '🏗️ Build & CI' },
+  { types: ['style', 'chore'], title: '🔧 Chores' },
+  { types: ['revert'], title: '⏪ Reverts' }
+];
+
+// Generate a Markdown PR description from a branch comparison (see compareGiteeBranches)
+// Commits are grouped by conventional commit type, e.g. "feat(auth): add login"
+const generatePullRequestBody = (comparison, branches = { head: HEAD_RAW, base: BASE_RAW }) => {
+  const { commits, files } = comparison;
+  const sections = COMMIT_TYPE_SECTIONS.map(section => ({ ...section, items: [] }));
+  const otherItems = [];
+  const breakingItems = [];
+
+  for (const commit of commits) {
+    const match = commit.message.match(/^(\w+)(?:\(([^)]+)\))?(!)?:\s*(.+)$/);
+    const type = match ? match[1].toLowerCase() : null;
+    const scope = match ? match[2] : null;
+    const subject = match ? match[4] : commit.message;
+    const item = `- ${scope ? `**${scope}:** ` : ''}${subject} (${String(commit.sha).substring(0, 8)}${commit.author ? `, @${commit.author}` : ''})`;
+
+    const section = sections.find(s => s.types.includes(type));
+    if (section) {
+      section.items.push(item);
+    } else {
+      otherItems.push(`- ${commit.message} (${String(commit.sha).substring(0, 8)}${commit.author ? `, @${commit.author}` : ''})`);
+    }
+    if (match && match[3]) {
+      breakingItems.push(item);
+    }
+  }
+
+  // Touched areas: top-level directory (two levels under src/lib/packages) of each changed file
+  const areas = {};
+  for (const file of files) {
+    const parts = file.filename.split('/');
+    const depth = parts.length > 2 && ['src', 'lib', 'packages', 'apps'].includes(parts[0]) ? 2 : 1;
+    const area = parts.length > depth ? parts.slice(0, depth).join('/') : '(root)';
+    areas[area] = (areas[area] || 0) + 1;
+  }
+
+  const authors = [...new Set(commits.map(c => c.author).filter(Boolean))];
+  const additions = files.reduce((sum, f) => sum + f.additions, 0);
+  const deletions = files.reduce((sum, f) => sum + f.deletions, 0);
+
+  const lines = [
+    '## Summary',
+    '',
+    `${commits.length} commit(s) from \`${branches.head}\` into \`${branches.base}\`, ${files.length} file(s) changed (+${additions} -${deletions}).`
+  ];
+
+  if (breakingItems.length > 0) {
+    lines.push('', '### ⚠️ Breaking Changes', '', ...breakingItems);
+  }
+  for (const section of sections) {
+    if (section.items.length > 0) {
+      lines.push('', `### ${section.title}`, '', ...section.items);
+    }
+  }
+  if (otherItems.length > 0) {
+    lines.push('', '### Other Changes', '', ...otherItems);
+  }
+  if (Object.keys(areas).length > 0) {
+    lines.push('', '### Touched Areas', '', ...Object.entries(areas).sort((a, b) => b[1] - a[1]).map(([area, count]) => `- \`${area}\` (${count} file${count > 1 ? 's' : ''})`));
+  }
+  if (authors.length > 0) {
+    lines.push('', '### Authors', '', ...authors.map(a => `- @${a}`));
+  }
+
+  return lines.join('\n');
+};
+
+// Read a file from the repository at the given ref
+// Returns the file content, or null if the file does not exist
+const fetchRepositoryFile = async (filePath, ref) => {
+  const encodedPath = filePath.replace(/^\/+/, '').split('/').map(encodeURIComponent).join('/');
+  try {
+    const response = await makeGiteeRequest('GET', `/repos/${OWNER}/${REPO}/contents/${encodedPath}?ref=${encodeURIComponent(ref)}`, null);
+    const data = response.data;
+    // A directory listing is returned as an array, an empty repository as null
+    if (!data || Array.isArray(data) || typeof data.content !== 'string') {
+      return null;
+    }
+    return data.encoding === 'base64' ? Buffer.from(data.content, 'base64').toString('utf8') : data.content;
+  } catch (err) {
+    if (err.statusCode === 404) {
+      return null;
+    }
+    throw err;
+  }
+};
+
+// Read a configuration file: a local file if it exists, otherwise a path in the repository (base branch)
+// Returns { source, content } or null if it does not exist in either place
+const readConfigFile = async (filePath, ref = BASE_RAW) => {
+  if (fs.existsSync(filePath)) {
+    return { source: path.resolve(filePath), content: fs.readFileSync(filePath, 'utf8') };
+  }
+
+  const content = await fetchRepositoryFile(filePath, ref);
+  return content === null ? null : { source: `${ref}:${filePath}`, content };
+};
+
+// Load the PR description template
+// PR_TEMPLATE may name a local file or a path in the repository (read from the base branch);
+// without it the repository's .gitee/PULL_REQUEST_TEMPLATE.md is used if present, "none" disables templates
+// Only a configured template that cannot be read is an error, a failed default lookup is added to warnings
+const loadPullRequestTemplate = async (ref = BASE_RAW, warnings = []) => {
+  if (['none', 'false', 'off'].includes(PR_TEMPLATE.toLowerCase())) {
+    return null;
+  }
+
+  if (!PR_TEMPLATE) {
+    try {
+      return await readConfigFile(DEFAULT_PR_TEMPLATE_PATH, ref);
+    } catch (err) {
+      warnings.push(`Could not read the PR template ${ref}:${DEFAULT_PR_TEMPLATE_PATH}, the description was not checked against it: ${err.error || err.message}`);
+      return null;
+    }
+  }
+
+  const template = await readConfigFile(PR_TEMPLATE, ref);
+  if (!template) {
+    throw new Error(`PR template "${PR_TEMPLATE}" not found locally or in branch ${ref}`);
+  }
+  return template;
+};
+
+// Load the owners rules file (OWNERS_FILE), a JSON file mapping path globs to reviewers and testers:
+// { "groups": { "backend": ["alice", "bob"] },
+//   "rules": [{ "pattern": "src/api/**", "reviewers": ["@backend"], "testers": ["carl"] }] }
+// Returns { source, groups, rules } or null when not configured
+const loadOwnersRules = async (ref = BASE_RAW) => {
+  if (!OWNERS_FILE) {
+    return null;
+  }
+
+  const file = await readConfigFile(OWNERS_FILE, ref);
+  if (!file) {
+    throw new Error(`Owners file "${OWNERS_FILE}" not found locally or in branch ${ref}`);
+  }
+
+  let config;
+  try {
+    config = JSON.parse(file.content);
+  } catch (err) {
+    throw new Error(`Owners file ${file.source} is not valid JSON: ${err.message}`);
+  }
+  if (!config || !Array.isArray(config.rules)) {
+    throw new Error(`Owners file ${file.source} must contain a "rules" array`);
+  }
+
+  return { source: file.source, groups: config.groups || {}, rules: config.rules };
+};
+
+// Match the owners rules against the changed files
+// Every matching rule adds its reviewers and testers ("@name" expands a group from the owners file)
+// Returns { assignees, testers, reasons: [{ login, role, rule, group, files }] }
+const matchOwnersRules = (owners, files) => {
+  const assignees = [];
+  const testers = [];
+  const reasons = [];
+
+  const expand = (names) => parseNameList(names).flatMap(name => {
+    const groupName = name.startsWith('@') ? name.substring(1) : null;
+    if (groupName && Array.isArray(owners.groups[groupName])) {
+      return parseNameList(owners.groups[groupName]).map(login => ({ login, group: groupName }));
+    }
+    return [{ login: name.replace(/^@/, ''), group: null }];
+  });
+
+  owners.rules.forEach(rule => {
+    const patterns = parseNameList(rule.pattern || rule.patterns);
+    const regexps = patterns.map(globToRegExp);
+    const matched = files.filter(file => regexps.some(re => re.test(file)));
+    if (matched.length === 0) return;
+
+    [['reviewer', rule.reviewers, assignees], ['tester', rule.testers, testers]].forEach(([role, names, target]) => {
+      expand(names).forEach(({ login, group }) => {
+        if (!target.includes(login)) {
+          target.push(login);
+        }
+        reasons.push({ login, role, rule: patterns.join(', '), group, files: matched.slice(0, 5), matched_files: matched.length });
+      });
+    });
+  });
+
+  return { assignees, testers, reasons };
+};
+
+// Fill template placeholders: {{title}}, {{head}}, {{base}}, {{commits}}, {{issue}}, {{body}}
+// Unknown placeholders are left untouched
+const renderPullRequestTemplate = (template, vars) => {
+  return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (placeholder, name) => (
+    Object.prototype.hasOwnProperty.call(vars, name) ? String(vars[name] === undefined || vars[name] === null ? '' : vars[name]) : placeholder
+  ));
+};
+
+// Markdown headings of a text: [{ index, level, name, required }]
+// A section is required when its heading contains "<!-- required -->" or "(required)"
+const findSectionHeadings = (lines) => lines.map((line, index) => {
+  const heading = line.match(/^(#{1,6})\s+(.*)$/);
+  return heading && {
+    index,
+    level: heading[1].length,
+    name: heading[2].replace(/<!--.*?-->/g, '').replace(/\(required\)/i, '').trim(),
+    required: /<!--\s*required\s*-->|\(required\)/i.test(heading[2])
+  };
+}).filter(Boolean);
+
+// Check the required sections of a template in a PR description (by default the rendered template itself)
+// A required section must have content other than comments, and a checklist section needs at least one checked item
+const validateRequiredSections = (text, template = text) => {
+  const lines = text.split('\n');
+  const headings = findSectionHeadings(lines);
+  const errors = [];
+
+  findSectionHeadings(template.split('\n')).filter(h => h.required).forEach(required => {
+    const { name } = required;
+    const heading = text === template ? required : headings.find(h => h.name.toLowerCase() === name.toLowerCase());
+    if (!heading) {
+      errors.push(`Required section "${name}" is missing`);
+      return;
+    }
+
+    const sectionLines = [];
+    for (let i = heading.index + 1; i < lines.length; i++) {
+      const next = lines[i].match(/^(#{1,6})\s/);
+      if (next && next[1].length <= heading.level) break;
+      sectionLines.push(lines[i]);
+    }
+
+    const content = sectionLines.join('\n').replace(/<!--[\s\S]*?-->/g, '').trim();
+    const checklist = content.match(/^\s*[-*]\s+\[[ xX]\]/gm) || [];
+    if (checklist.length > 0) {
+      if (!checklist.some(item => /\[[xX]\]/.test(item))) {
+        errors.push(`Required checklist "${name}" has no checked items`);
+      }
+    } else if (content === '') {
+      errors.push(`Required section "${name}" is empty`);
+    }
+  });
+
+  return errors;
+};
+
+// Combine the PR body with the template and check the template's required sections
+// With a {{body}} placeholder the body is rendered into the template. Without one, a body that already has
+// the template's headings is used in place of the template; any other body goes above the rendered template,
+// and the required sections are checked in the body, not in the empty copy of the template
+// Returns { body, errors }
+const applyPullRequestTemplate = (template, body, vars) => {
+  const rendered = renderPullRequestTemplate(template, { ...vars, body: body || '' });
+  if (/\{\{\s*body\s*\}\}/.test(template) || !body) {
+    return { body: rendered, errors: validateRequiredSections(rendered) };
+  }
+
+  const templateHeadings = findSectionHeadings(template.split('\n')).map(h => h.name.toLowerCase());
+  const writesSections = findSectionHeadings(body.split('\n')).some(h => templateHeadings.includes(h.name.toLowerCase()));
+  return {
+    body: writesSections ? body : `${body}\n\n${rendered}`,
+    errors: validateRequiredSections(body, template)
+  };
+};
+
+// Find Gitee issue references (e.g. #I4ABCD) in the branch name, title and body
+// In branch names the "#" is optional (feature/I4ABCD-login), so an id there must contain a digit
+// Returns [{ number, sources }] in order of first appearance
+const extractIssueRefs = ({ branch, title, body, issue }) => {
+  const refs = new Map();
+  const add = (number, source) => {
+    const ref = refs.get(number) || { number, sources: [] };
+    if (!ref.sources.includes(source)) ref.sources.push(source);
+    refs.set(number, ref);
+  };
+
+  const branchPattern = /(?:^|[^A-Za-z0-9])#?(I(?=[A-Z]*\d)[A-Z0-9]{5,7})(?![A-Za-z0-9])/g;
+  const textPattern = /#(I[A-Z0-9]{5,7})(?![A-Za-z0-9])/g;
+  for (const match of String(branch || '').matchAll(branchPattern)) add(match[1], 'branch');
+  for (const match of String(issue || '').matchAll(branchPattern)) add(match[1], 'issue');
+  for (const match of String(title || '').matchAll(textPattern)) add(match[1], 'title');
+  for (const match of String(body || '').matchAll(textPattern)) add(match[1], 'body');
+
+  return [...refs.values()];
+};
+
+// Check that the referenced issues exist; returns the refs with title and state, or the error
+const lookupIssueRefs = async (refs) => {
+  return Promise.all(refs.map(async (ref) => {
+    try {
+      const response = await makeGiteeRequest('GET', `/repos/${OWNER}/${REPO}/issues/${encodeURIComponent(ref.number)}`, null);
+      const data = response.data || {};
+      return { ...ref, exists: true, title: data.title || null, state: data.state || null, url: data.html_url || null };
+    } catch (err) {
+      return { ...ref, exists: false, error: err.statusCode === 404 ? 'Issue not found' : (err.error || err.message) };
+    }
+  }));
+};
+
+// Add a "Closes #…" line for each existing issue the body does not close yet
+// Gitee links these issues to the PR and closes them when it is merged
+const appendClosingFooter = (body, refs) => {
+  const text = body || '';
+  const missing = refs
+    .filter(ref => ref.exists)
+    .filter(ref => !new RegExp(`\\b(?:close[sd]?|fix(?:e[sd])?|resolve[sd]?)\\s+#${ref.number}(?![A-Za-z0-9])`, 'i').test(text));
+  if (missing.length === 0) {
+    return text;
+  }
+  const footer = missing.map(ref => `Closes #${ref.number}`).join('\n');
+  return text.trim() === '' ? footer : `${text.replace(/\s+$/, '')}\n\n${footer}`;
+};
+
+// Check which issues Gitee linked to the created PR
+const confirmLinkedIssues = async (prNumber, refs) => {
+  let linked = null;
+  try {
+    const response = await makeGiteeRequest('GET', `/repos/${OWNER}/${REPO}/pulls/${prNumber}/issues`, null);
+    linked = (Array.isArray(response.data) ? response.data : []).map(i => i.number);
+  } catch (err) {
+    console.error(`Warning: Failed to list issues linked to PR #${prNumber}:`, err.error || err.message);
+  }
+  return refs.map(ref => ({
+    ...ref,
+    linked: ref.exists && (linked === null ? null : linked.includes(ref.number))
+  }));
+};
+
+// Move an issue to a new state (open, progressing, closed, rejected)
+const updateIssueState = async (number, state) => {
+  const response = await makeGiteeRequest('PATCH', `/repos/${OWNER}/issues/${encodeURIComponent(number)}`, { repo: REPO, state });
+  return response;
+};
+
+// Format issue link results, one line per issue
+const formatIssueLinks = (issues) => {
+  return issues.map(i => {
+    const sources = `from ${i.sources.join(', ')}`;
+    if (!i.exists) return `• #${i.number} (${sources}): not linked, ${i.error}`;
+    const status = i.linked === true ? 'linked' : i.linked === false ? 'referenced, not linked yet' : 'referenced';
+    return `• #${i.number} ${i.title ? `"${i.title}" ` : ''}(${sources}): ${status}${i.state_change ? `, ${i.state_change}` : ''}`;
+  }).join('\n');
+};
+
+// Check a per-call head/base branch against BRANCH_ALLOWLIST and BRANCH_PATTERN
+// For a fork head ("username:branch") the branch name is checked
+const isBranchAllowed = (branch) => {
+  if (!BRANCH_ALLOWLIST && !BRANCH_PATTERN) {
+    return true;
+  }
+  const name = branch.includes(':') ? branch.substring(branch.indexOf(':') + 1) : branch;
+  // Anchor the globs at the start, so "main" does not match "feature/main"
+  if (BRANCH_ALLOWLIST && parseNameList(BRANCH_ALLOWLIST).some(glob => globToRegExp(`/${glob}`).test(`/${name}`))) {
+    return true;
+  }
+  return BRANCH_REGEXP !== null && BRANCH_REGEXP.test(name);
+};
+
+// Describe the allowed branches for messages, e.g. "main, release/*, /^feature\//"
+const describeAllowedBranches = () => [...parseNameList(BRANCH_ALLOWLIST), BRANCH_PATTERN && `/${BRANCH_PATTERN}/`].filter(Boolean).join(', ');
+
+// Make sure a branch of the repository exists
+// A fork head "username:branch" is not checked: the fork may have another name than the repository,
+// so a missing fork branch is left to the Pull Request creation to report
+const ensureBranchExists = async (branch) => {
+  if (branch.includes(':')) {
+    return;
+  }
+  try {
+    await makeGiteeRequest('GET', `/repos/${OWNER}/${REPO}/branches/${encodeURIComponent(branch)}`, null);
+  } catch (err) {
+    if (err.statusCode === 404) {
+      throw new Error(`Branch "${branch}" does not exist in ${OWNER}/${REPO}`);
+    }
+    // Other failures (e.g. no access to a fork) are left to the Pull Request creation to report
+    console.error(`Warning: Failed to check branch ${branch}:`, err.error || err.message);
+  }
+};
+
+// Parse PR number from tool arguments (accepts numbers and numeric strings)
+const parsePrNumber = (value) => {
+  const prNumber = typeof value === 'string' && /^\d+$/.test(value.trim()) ? parseInt(value.trim(), 10) : value;
+  if (!prNumber || typeof prNumber !== 'number' || !Number.isInteger(prNumber) || prNumber < 1) {
+    throw new Error('Missing or invalid PR number parameter');
+  }
+  return prNumber;
+};
+
+// Summarize a Gitee commit (first line of the message only)
+const summarizeCommit = (c) => ({
+  sha: c.sha,
+  message: c.commit && c.commit.message ? c.commit.message.split('\n')[0] : '',
+  author: c.author && c.author.login ? c.author.login : (c.commit && c.commit.author ? c.commit.author.name : null),
+  date: c.commit && c.commit.author ? c.commit.author.date : null
+});
+
+// Build a structured report from a Pull Request, its commits and changed files
+const summarizePullRequest = (pr, commits, files) => {
+  const toPeople = (list) => (Array.isArray(list) ? list : []).map(p => ({
+    login: p.login,
+    name: p.name,
+    accepted: p.accept === true
+  }));
+  const reviewers = toPeople(pr.assignees);
+  const testers = toPeople(pr.testers);
+  const reviewRequired = pr.assignees_number || 0;
+  const testRequired = pr.testers_number || 0;
+  const approvedCount = reviewers.filter(p => p.accepted).length;
+  const testedCount = testers.filter(p => p.accepted).length;
+
+  const changedFiles = files.map(f => ({
+    filename: f.filename,
+    status: f.status,
+    additions: parseInt(f.additions, 10) || 0,
+    deletions: parseInt(f.deletions, 10) || 0
+  }));
+
+  return {
+    number: pr.number,
+    title: pr.title,
+    state: pr.state,
+    draft: pr.draft || false,
+    url: pr.html_url,
+    author: pr.user ? pr.user.login : null,
+    head: pr.head ? { ref: pr.head.ref, sha: pr.head.sha, repo: pr.head.repo ? pr.head.repo.full_name : null } : null,
+    base: pr.base ? { ref: pr.base.ref, sha: pr.base.sha, repo: pr.base.repo ? pr.base.repo.full_name : null } : null,
+    body: pr.body || '',
+    labels: (pr.labels || []).map(l => l.name),
+    milestone: pr.milestone ? pr.milestone.title : null,
+    created_at: pr.created_at,
+    updated_at: pr.updated_at,
+    merged_at: pr.merged_at || null,
+    closed_at: pr.closed_at || null,
+    mergeable: pr.mergeable,
+    review: {
+      required: reviewRequired,
+      approved: approvedCount,
+      passed: approvedCount >= reviewRequired,
+      reviewers
+    },
+    test: {
+      required: testRequired,
+      passed_count: testedCount,
+      passed: testedCount >= testRequired,
+      testers
+    },
+    stats: {
+      commits: commits.length,
+      files: changedFiles.length,
+      additions: changedFiles.reduce((sum, f) => sum + f.additions, 0),
+      deletions: changedFiles.reduce((sum, f) => sum + f.deletions, 0)
+    },
+    commits: commits.map(summarizeCommit),
+    files: changedFiles
+  };
+};
+
+// Get Gitee Pull Request with its commits and changed files
+const getGiteePullRequestDetails = async (prNumber) => {
+  const apiPath = `/repos/${OWNER}/${REPO}/pulls/${prNumber}`;
+
+  console.error(`Fetching details of Pull Request #${prNumber}...`);
+
+  const [prResponse, commitsResponse, filesResponse] = await Promise.all([
+    makeGiteeRequest('GET', apiPath, null),
+    makeGiteeRequest('GET', `${apiPath}/commits`, null),
+    makeGiteeRequest('GET', `${apiPath}/files`, null)
+  ]);
+
+  return summarizePullRequest(
+    prResponse.data || {},
+    Array.isArray(commitsResponse.data) ? commitsResponse.data : [],
+    Array.isArray(filesResponse.data) ? filesResponse.data : []
+  );
+};
+
+// Convert a glob pattern to a RegExp
+// Supports "**" (any path), "*" (any chars except "/"), "?" (single char)
+// Patterns without "/" match the file name in any directory, e.g. "*.md"
+const globToRegExp = (pattern) => {
+  let source = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '*' && pattern[i + 1] === '*') {
+      // "**/" matches zero or more directories
+      if (pattern[i + 2] === '/') {
+        source += '(?:.*/)?';
+        i += 2;
+      } else {
+        source += '.*';
+        i += 1;
+      }
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(pattern.includes('/') ? `^${source}$` : `(?:^|/)${source}$`);
+};
+
+// Parse glob list from tool arguments (array or comma-separated string)
+const parseGlobList = (value) => {
+  if (!value) return [];
+  const list = Array.isArray(value) ? value : String(value).split(',');
+  return list.map(s => String(s).trim()).filter(s => s !== '').map(globToRegExp);
+};
+
+// Get per-file diff of a Gitee Pull Request, filtered and limited to a byte budget
+// Files are either included whole or skipped, so the output is never cut mid-hunk
+const getGiteePullRequestDiff = async (prNumber, options = {}) => {
+  const { include, exclude, max_bytes = 60000 } = options;
+
+  if (typeof max_bytes !== 'number' || max_bytes < 1) {
+    throw new Error('Invalid max_bytes parameter. Must be a positive number');
+  }
+
+  const includePatterns = parseGlobList(include);
+  const excludePatterns = parseGlobList(exclude);
+
+  const apiPath = `/repos/${OWNER}/${REPO}/pulls/${prNumber}/files`;
+
+  console.error(`Fetching diff of Pull Request #${prNumber}...`);
+
+  const response = await makeGiteeRequest('GET', apiPath, null);
+  const files = Array.isArray(response.data) ? response.data : [];
+
+  const included = [];
+  const skipped = [];
+  let usedBytes = 0;
+
+  for (const file of files) {
+    const patch = file.patch || {};
+    const filename = file.filename || patch.new_path || patch.old_path;
+    const entry = {
+      filename,
+      status: file.status,
+      additions: parseInt(file.additions, 10) || 0,
+      deletions: parseInt(file.deletions, 10) || 0
+    };
+
+    if (includePatterns.length > 0 && !includePatterns.some(re => re.test(filename))) {
+      skipped.push({ ...entry, reason: 'not matched by include filter' });
+      continue;
+    }
+
+    if (excludePatterns.some(re => re.test(filename))) {
+      skipped.push({ ...entry, reason: 'matched by exclude filter' });
+      continue;
+    }
+
+    if (patch.too_large || (!patch.diff && (entry.additions > 0 || entry.deletions > 0))) {
+      skipped.push({ ...entry, reason: 'diff not available (too large or binary)' });
+      continue;
+    }
+
+    const oldPath = patch.old_path || filename;
+    const newPath = patch.new_path || filename;
+    const text = `diff --git a/${oldPath} b/${newPath}\n${patch.diff || ''}`;
+    const bytes = Buffer.byteLength(text, 'utf8');
+
+    if (usedBytes + bytes > max_bytes) {
+      skipped.push({ ...entry, bytes, reason: 'exceeds max_bytes budget' });
+      continue;
+    }
+
+    usedBytes += bytes;
+    included.push({ ...entry, bytes, diff: text });
+  }
+
+  return {
+    totalFiles: files.length,
+    usedBytes,
+    maxBytes: max_bytes,
+    included,
+    skipped
+  };
+};
+
+// Find the comment position of a file line in a unified diff
+// Position counts lines below the first "@@" hunk header (1-based) and keeps increasing through later hunks
+// side "right" uses new file line numbers (added/context lines), "left" old file line numbers (deleted/context lines)
+const findDiffPosition = (diff, line, side = 'right') => {
+  let position = 0;
+  let oldLine = 0;
+  let newLine = 0;
+  let inHunk = false;
+
+  for (const text of String(diff || '').split('\n')) {
+    const hunk = text.match(/^@@ -(\d+)(?:,\d+)? \+(\d+)(?:,\d+)? @@/);
+    if (hunk) {
+      if (inHunk) position++;
+      inHunk = true;
+      oldLine = parseInt(hunk[1], 10);
+      newLine = parseInt(hunk[2], 10);
+      continue;
+    }
+    if (!inHunk || text.startsWith('\\')) continue;
+
+    position++;
+    if (text.startsWith('+')) {
+      if (side === 'right' && newLine === line) return position;
+      newLine++;
+    } else if (text.startsWith('-')) {
+      if (side === 'left' && oldLine === line) return position;
+      oldLine++;
+    } else {
+      if ((side === 'right' && newLine === line) || (side === 'left' && oldLine === line)) return position;
+      oldLine++;
+      newLine++;
+    }
+  }
+
+  return null;
+};
+
+// Summarize a Gitee Pull Request comment
+const summarizeComment = (comment) => ({
+  id: comment.id,
+  type: comment.comment_type || (comment.path ? 'diff_comment' : 'pr_comment'),
+  author: comment.user ? comment.user.login : null,
+  body: comment.body,
+  path: comment.path || null,
+  position: comment.position || null,
+  in_reply_to_id: comment.in_reply_to_id || null,
+  created_at: comment.created_at,
+  url: comment.html_url || null
+});
+
+// List comments of a Gitee Pull Request
+const listGiteePullRequestComments = async (prNumber, options = {}) => {
+  const { comment_type, page = 1, per_page = 50 } = options;
+
+  if (comment_type !== undefined && !['diff_comment', 'pr_comment'].includes(comment_type)) {
+    throw new Error('Invalid comment_type parameter. Must be one of: diff_comment, pr_comment');
+  }
+
+  if (typeof per_page !== 'number' || per_page < 1 || per_page > 100) {
+    throw new Error('Invalid per_page parameter. Must be a number between 1 and 100');
+  }
+
+  const query = new URLSearchParams();
+  if (comment_type) query.append('comment_type', comment_type);
+  query.append('page', String(page));
+  query.append('per_page', String(per_page));
+
+  const response = await makeGiteeRequest('GET', `/repos/${OWNER}/${REPO}/pulls/${prNumber}/comments?${query.toString()}`, null);
+  return Array.isArray(response.data) ? response.data : [];
+};
+
+// Create a comment on a Gitee Pull Request
+// With path/position/commit_id the comment is anchored to a diff line, otherwise it is a general comment
+const createGiteePullRequestComment = async (prNumber, comment) => {
+  const { body, path: filePath, position, commit_id } = comment;
+
+  if (!body || typeof body !== 'string' || body.trim() === '') {
+    throw new Error('Missing or invalid comment body parameter');
+  }
+
+  const requestBody = { body };
+  if (filePath) {
+    requestBody.path = filePath;
+    requestBody.position = position;
+    requestBody.commit_id = commit_id;
+  }
+
+  console.error(`Commenting on Pull Request #${prNumber}${filePath ? ` (${filePath}, position ${position})` : ''}...`);
+
+  return makeGiteeRequest('POST', `/repos/${OWNER}/${REPO}/pulls/${prNumber}/comments`, requestBody);
+};
+
+// Resolve line comments ({ path, line, side, body }) to diff positions of a Pull Request
+// Returns one entry per comment, with either the resolved comment or an error
+const resolveLineComments = async (prNumber, comments) => {
+  const apiPath = `/repos/${OWNER}/${REPO}/pulls/${prNumber}`;
+  const [prResponse, filesResponse] = await Promise.all([
+    makeGiteeRequest('GET', apiPath, null),
+    makeGiteeRequest('GET', `${apiPath}/files`, null)
+  ]);
+  const commitId = prResponse.data && prResponse.data.head ? prResponse.data.head.sha : null;
+  const files = Array.isArray(filesResponse.data) ? filesResponse.data : [];
+
+  return comments.map(entry => {
+    const { path: filePath, line, side = 'right', body } = entry || {};
+    const base = { path: filePath, line, side };
+
+    if (!filePath || typeof line !== 'number' || !body) {
+      return { ...base, error: 'Each comment needs path, line (number) and body' };
+    }
+    if (!['right', 'left'].includes(side)) {
+      return { ...base, error: 'Invalid side. Must be one of: right, left' };
+    }
+
+    const file = files.find(f => f.filename === filePath || (f.patch && (f.patch.new_path === filePath || f.patch.old_path === filePath)));
+    if (!file) {
+      return { ...base, error: `File "${filePath}" is not changed in Pull Request #${prNumber}` };
+    }
+
+    const position = findDiffPosition(file.patch ? file.patch.diff : '', line, side);
+    if (!position) {
+      return { ...base, error: `Line ${line} (${side}) of "${filePath}" is not part of the diff` };
+    }
+
+    return { ...base, comment: { body, path: file.filename, position, commit_id: commitId } };
+  });
+};
+
+// Format Pull Requests as a compact Markdown table
+const formatPullRequestTable = (pullRequests) => {
+  if (pullRequests.length === 0) {
+    return '_No Pull Requests found._';
+  }
+
+  // Escape characters that would break the table layout
+  const cell = (value) => String(value === undefined || value === null ? '' : value).replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+
+  const lines = [
+    '| # | Title | Author | State | Mergeable | URL |',
+    '|---|-------|--------|-------|-----------|-----|'
+  ];
+  for (const pr of pullRequests) {
+    const mergeable = pr.mergeable === true ? 'yes' : (pr.mergeable === false ? 'no' : '?');
+    lines.push(`| ${pr.number} | ${cell(pr.title)} | ${cell(pr.user && pr.user.login)} | ${cell(pr.state)}${pr.draft ? ' (draft)' : ''} | ${mergeable} | ${cell(pr.html_url)} |`);
+  }
+  return lines.join('\n');
+};
+
+// Issue states accepted by the Gitee issue list filter
+const ISSUE_LIST_STATES = ['open', 'progressing', 'closed', 'rejected', 'all'];
+
+// Parse issue number from tool arguments ("I4ABCD" or "#I4ABCD")
+const parseIssueNumber = (value) => {
+  const number = typeof value === 'string' ? value.trim().replace(/^#/, '') : '';
+  if (!/^[A-Za-z0-9]+$/.test(number)) {
+    throw new Error('Missing or invalid issue number parameter (e.g. "I4ABCD")');
+  }
+  return number.toUpperCase();
+};
+
+// Summarize a Gitee issue for tool results
+const summarizeIssue = (issue) => ({
+  number: issue.number,
+  title: issue.title,
+  state: issue.state,
+  issue_type: issue.issue_type || null,
+  author: issue.user ? issue.user.login : null,
+  assignee: issue.assignee ? issue.assignee.login : null,
+  labels: (issue.labels || []).map(l => l.name),
+  milestone: issue.milestone ? { number: issue.milestone.number, title: issue.milestone.title } : null,
+  comments: issue.comments !== undefined ? issue.comments : null,
+  created_at: issue.created_at,
+  updated_at: issue.updated_at,
+  url: issue.html_url
+});
+
+// Summarize an issue comment
+const summarizeIssueComment = (comment) => ({
+  id: comment.id,
+  author: comment.user ? comment.user.login : null,
+  body: comment.body,
+  created_at: comment.created_at,
+  url: comment.html_url || null
+});
+
+// Create Gitee issue
+// labels and assignee go through the same checks as for PRs; pr_number adds a link back to that PR
+// Returns { issue, warnings }
+const createGiteeIssue = async (params) => {
+  const { title, body, labels, assignee, milestone, pr_number, create_missing_labels = CREATE_MISSING_LABELS } = params;
+
+  if (!title || typeof title !== 'string' || title.trim() === '') {
+    throw new Error('Missing or invalid title parameter');
+  }
+
+  const requestBody = { repo: REPO, title: title.trim(), body: body || '' };
+  const warnings = [];
+
+  const labelList = parseNameList(labels);
+  if (labelList.length > 0) {
+    const { validLabels, warnings: labelWarnings } = validateLabels(labelList);
+    warnings.push(...labelWarnings);
+    const resolved = validLabels.length > 0
+      ? await resolveRepositoryLabels(validLabels, { createMissing: create_missing_labels === true || create_missing_labels === 'true' })
+      : { labels: [], warnings: [] };
+    warnings.push(...resolved.warnings);
+    if (resolved.labels.length > 0) {
+      // The issue API expects a comma-separated string
+      requestBody.labels = resolved.labels.join(',');
+    }
+  }
+
+  if (assignee) {
+    const resolved = await resolvePeople([String(assignee)], 'assignee');
+    warnings.push(...resolved.warnings);
+    if (resolved.logins.length > 0) {
+      requestBody.assignee = resolved.logins[0];
+    }
+  }
+
+  if (milestone !== undefined && milestone !== null && String(milestone).trim() !== '') {
+    requestBody.milestone = (await resolveMilestone(milestone)).number;
+  }
+
+  if (pr_number !== undefined && pr_number !== null && pr_number !== '') {
+    const prNumber = parsePrNumber(pr_number);
+    const pr = (await makeGiteeRequest('GET', `/repos/${OWNER}/${REPO}/pulls/${prNumber}`, null)).data || {};
+    const link = `Related Pull Request: !${prNumber}${pr.html_url ? ` (${pr.html_url})` : ''}`;
+    requestBody.body = requestBody.body.trim() === '' ? link : `${requestBody.body.replace(/\s+$/, '')}\n\n${link}`;
+  }
+
+  const response = await makeGiteeRequest('POST', `/repos/${OWNER}/issues`, requestBody);
+  return { issue: response.data || {}, warnings };
+};
+
+// Get Gitee issue with its comments
+const getGiteeIssue = async (number) => {
+  const apiPath = `/repos/${OWNER}/${REPO}/issues/${encodeURIComponent(number)}`;
+  const [issueResponse, commentsResponse] = await Promise.all([
+    makeGiteeRequest('GET', apiPath, null),
+    makeGiteeRequest('GET', `${apiPath}/comments?page=1&per_page=100`, null)
+  ]);
+  return {
+    issue: issueResponse.data || {},
+    comments: Array.isArray(commentsResponse.data) ? commentsResponse.data : []
+  };
+};
+
+// List Gitee issues of the repository
+// Returns { issues, totalCount, totalPage }
+const listGiteeIssues = async (params) => {
+  const { state = 'open', labels, assignee, creator, milestone, sort, direction, page = 1, per_page = 20 } = params;
+
+  if (!ISSUE_LIST_STATES.includes(state)) {
+    throw new Error(`Invalid state parameter. Must be one of: ${ISSUE_LIST_STATES.join(', ')}`);
+  }
+
+  if (typeof page !== 'number' || page < 1) {
+    throw new Error('Invalid page parameter. Must be a positive number');
+  }
+
+  if (typeof per_page !== 'number' || per_page < 1 || per_page > 100) {
+    throw new Error('Invalid per_page parameter. Must be a number between 1 and 100');
+  }
+
+  const query = new URLSearchParams();
+  query.append('state', state);
+  if (labels) query.append('labels', parseNameList(labels).join(','));
+  if (assignee) query.append('assignee', assignee);
+  if (creator) query.append('creator', creator);
+  if (milestone) query.append('milestone', String(milestone));
+  if (sort) query.append('sort', sort);
+  if (direction) query.append('direction', direction);
+  query.append('page', String(page));
+  query.append('per_page', String(per_page));
+
+  const response = await makeGiteeRequest('GET', `/repos/${OWNER}/${REPO}/issues?${query.toString()}`, null);
+  const headers = response.headers || {};
+  return {
+    issues: Array.isArray(response.data) ? response.data : [],
+    totalCount: headers.total_count ? parseInt(headers.total_count, 10) : null,
+    totalPage: headers.total_page ? parseInt(headers.total_page, 10) : null
+  };
+};
+
+// Format issues as a compact Markdown table
+const formatIssueTable = (issues) => {
+  if (issues.length === 0) {
+    return '_No issues found._';
+  }
+
+  // Escape characters that would break the table layout
+  const cell = (value) => String(value === undefined || value === null ? '' : value).replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+
+  const lines = [
+    '| # | Title | State | Assignee | Labels | URL |',
+    '|---|-------|-------|----------|--------|-----|'
+  ];
+  for (const issue of issues) {
+    lines.push(`| ${cell(issue.number)} | ${cell(issue.title)} | ${cell(issue.state)} | ${cell(issue.assignee && issue.assignee.login)} | ${cell((issue.labels || []).map(l => l.name).join(', '))} | ${cell(issue.html_url)} |`);
+  }
+  return lines.join('\n');
+};
+
+// Build the error result returned by tools (same shape as the pr tool)
+const buildToolError = (action, err) => {
+  const errorResult = {
+    success: false,
+    error: `${action} failed: ${err.error || err.message}${err.statusCode ? ` (Status: ${err.statusCode})` : ''}`,
+    statusCode: err.statusCode || null,
+    message: `${action} failed. Error: ${err.error || err.message}`
+  };
+
+  if (err.data) {
+    errorResult.response = err.data;
+  }
+
+  if (err.rawResponse) {
+    errorResult.rawResponse = err.rawResponse;
+  }
+
+  return errorResult;
+};
+
+// Load the merge policy for a base branch from MERGE_POLICY_FILE, a JSON file keyed by branch name or glob:
+// { "branches": { "main": { "required_approvals": 2, "forbidden_labels": ["wip"] }, "release/*": { ... } } }
+// The file is read from the base branch itself; an exact branch name wins over globs
+// Returns { source, branch, rules } or null when no policy applies
+const loadMergePolicy = async (base) => {
+  if (!MERGE_POLICY_FILE) {
+    return null;
+  }
+
+  const file = await readConfigFile(MERGE_POLICY_FILE, base);
+  if (!file) {
+    throw new Error(`Merge policy file "${MERGE_POLICY_FILE}" not found locally or in branch ${base}`);
+  }
+
+  let config;
+  try {
+    config = JSON.parse(file.content);
+  } catch (err) {
+    throw new Error(`Merge policy file ${file.source} is not valid JSON: ${err.message}`);
+  }
+  if (!config || typeof config.branches !== 'object' || Array.isArray(config.branches)) {
+    throw new Error(`Merge policy file ${file.source} must contain a "branches" object`);
+  }
+
+  const key = Object.prototype.hasOwnProperty.call(config.branches, base)
+    ? base
+    : Object.keys(config.branches).find(pattern => globToRegExp(`/${pattern}`).test(`/${base}`));
+  if (key === undefined) {
+    return null;
+  }
+
+  // A typo in a merge method would otherwise be sent to Gitee as it is
+  const rules = config.branches[key] || {};
+  const invalidMethods = parseNameList(rules.merge_methods).filter(method => !MERGE_METHODS.includes(method));
+  if (invalidMethods.length > 0) {
+    throw new Error(`Merge policy for "${key}" in ${file.source} has invalid merge_methods: ${invalidMethods.join(', ')} (allowed: ${MERGE_METHODS.join(', ')})`);
+  }
+  return { source: file.source, branch: key, rules };
+};
+
+// Check a Pull Request against the merge policy of its base branch
+// merge_method is the requested method; without one the first allowed method of the policy is used
+// Returns { policy, merge_method, violations }, every unmet rule is one { reason: 'policy', rule, message } entry
+const evaluateMergePolicy = async (pr, merge_method) => {
+  const base = pr.base ? pr.base.ref : BASE_RAW;
+  const policy = await loadMergePolicy(base);
+  if (!policy) {
+    return { policy: null, merge_method, violations: [] };
+  }
+
+  const rules = policy.rules;
+  const violations = [];
+  const fail = (rule, message) => violations.push({ reason: 'policy', rule, message: `${message} (policy for "${policy.branch}" in ${policy.source})` });
+  const { review, test, labels } = summarizePullRequest(pr, [], []);
+  const labelNames = labels.map(l => l.toLowerCase());
+
+  if (rules.required_approvals !== undefined && review.approved < rules.required_approvals) {
+    fail('required_approvals', `${review.approved} of ${rules.required_approvals} required approvals`);
+  }
+  if (rules.required_testers !== undefined && test.passed_count < rules.required_testers) {
+    fail('required_testers', `${test.passed_count} of ${rules.required_testers} required testers passed`);
+  }
+
+  const missingLabels = parseNameList(rules.required_labels).filter(l => !labelNames.includes(l.toLowerCase()));
+  if (missingLabels.length > 0) {
+    fail('required_labels', `Missing required label(s): ${missingLabels.join(', ')}`);
+  }
+  const forbiddenLabels = parseNameList(rules.forbidden_labels).filter(l => labelNames.includes(l.toLowerCase()));
+  if (forbiddenLabels.length > 0) {
+    fail('forbidden_labels', `Has forbidden label(s): ${forbiddenLabels.join(', ')}`);
+  }
+
+  if (rules.allow_draft === false && pr.draft) {
+    fail('allow_draft', 'Draft Pull Requests may not be merged');
+  }
+
+  if (rules.max_changed_files !== undefined) {
+    const files = (await makeGiteeRequest('GET', `/repos/${OWNER}/${REPO}/pulls/${pr.number}/files`, null)).data;
+    const count = Array.isArray(files) ? files.length : 0;
+    if (count > rules.max_changed_files) {
+      fail('max_changed_files', `${count} changed files, at most ${rules.max_changed_files} allowed`);
+    }
+  }
+
+  const allowedMethods = parseNameList(rules.merge_methods);
+  let method = merge_method;
+  if (allowedMethods.length > 0) {
+    if (method === undefined) {
+      method = allowedMethods[0];
+    } else if (!allowedMethods.includes(method)) {
+      fail('merge_methods', `Merge method "${method}" is not allowed, use ${allowedMethods.join(' or ')}`);
+    }
+  }
+
+  return { policy, merge_method: method, violations };
+};
+
+// Merge windows and freezes, set per base branch in the merge policy:
+// "merge_windows": ["* 9-17 * * 1-5"] (cron: minute hour day month weekday), "freeze": [{ "from": "2026-12-20", "to": "2027-01-03", "reason": "..." }]
+// and "timezone" (IANA name, default: the server's time zone)
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const MERGE_SLOT_SEARCH_DAYS = 366;
+const zonedFormatters = new Map();
+
+// Calendar fields of a time in a time zone, plus a sortable "YYYY-MM-DD HH:mm" stamp
+const getZonedParts = (time, timeZone) => {
+  const key = timeZone || '';
+  if (!zonedFormatters.has(key)) {
+    zonedFormatters.set(key, new Intl.DateTimeFormat('en-US', {
+      timeZone: timeZone || undefined,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      weekday: 'short'
+    }));
+  }
+  const parts = {};
+  zonedFormatters.get(key).formatToParts(new Date(time)).forEach(p => { parts[p.type] = p.value; });
+  return {
+    minute: parseInt(parts.minute, 10),
+    hour: parseInt(parts.hour, 10),
+    day: parseInt(parts.day, 10),
+    month: parseInt(parts.month, 10),
+    weekday: WEEKDAYS.indexOf(parts.weekday),
+    stamp: `${parts.year}-${parts.month}-${parts.day} ${parts.hour}:${parts.minute}`
+  };
+};
+
+// Parse one cron field: "*", "5", "1-5", "*/15", "9-17/2" or a comma-separated list of these
+const parseCronField = (field, min, max) => {
+  const values = new Set();
+  String(field).split(',').forEach(part => {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : parseInt(stepText, 10);
+    let [from, to] = range === '*' ? [min, max] : range.split('-').map(n => parseInt(n, 10));
+    if (to === undefined) {
+      to = stepText === undefined ? from : max;
+    }
+    if (isNaN(from) || isNaN(to) || !(step > 0) || from < min || to > max || from > to) {
+      throw new Error(`Invalid cron field "${field}" (allowed: ${min}-${max})`);
+    }
+    for (let value = from; value <= to; value += step) {
+      values.add(value);
+    }
+  });
+  return values;
+};
+
+const parseMergeWindow = (expr) => {
+  const fields = String(expr).trim().split(/\s+/);
+  if (fields.length !== 5) {
+    throw new Error(`Invalid merge window "${expr}": expected 5 fields (minute hour day month weekday)`);
+  }
+  const [minute, hour, day, month, weekday] = [[0, 59], [0, 23], [1, 31], [1, 12], [0, 7]]
+    .map(([min, max], i) => parseCronField(fields[i], min, max));
+  if (weekday.has(7)) {
+    weekday.add(0); // 7 is Sunday as well
+  }
+  return { expr, minute, hour, day, month, weekday, anyDay: fields[2] === '*', anyWeekday: fields[4] === '*' };
+};
+
+// Like cron, a restricted day of month and day of week match when either matches
+const windowMatchesDay = (w, parts) => {
+  if (!w.month.has(parts.month)) return false;
+  return w.anyDay || w.anyWeekday
+    ? w.day.has(parts.day) && w.weekday.has(parts.weekday)
+    : w.day.has(parts.day) || w.weekday.has(parts.weekday);
+};
+
+// Freeze bounds as "YYYY-MM-DD HH:mm" stamps, a date without a time covers the whole day
+const parseFreeze = (freeze) => {
+  const toStamp = (value, endOfDay) => {
+    const text = String(value || '').trim().replace('T', ' ');
+    if (!/^\d{4}-\d{2}-\d{2}( \d{2}:\d{2})?/.test(text)) {
+      throw new Error(`Invalid freeze date "${value}", use YYYY-MM-DD or YYYY-MM-DD HH:mm`);
+    }
+    return text.length >= 16 ? text.substring(0, 16) : `${text.substring(0, 10)} ${endOfDay ? '23:59' : '00:00'}`;
+  };
+  return { from: toStamp(freeze.from, false), to: toStamp(freeze.to || freeze.from, true), reason: freeze.reason || null };
+};
+
+// First minute from "from" (ms) that is inside a merge window and outside the freezes, null if none within a year
+const findNextMergeSlot = (windows, freezes, timeZone, from) => {
+  let time = Math.ceil(from / 60000) * 60000;
+  const limit = from + MERGE_SLOT_SEARCH_DAYS * 24 * 60 * 60000;
+
+  while (time < limit) {
+    const parts = getZonedParts(time, timeZone);
+    const freeze = freezes.find(f => parts.stamp >= f.from && parts.stamp <= f.to);
+    if (freeze) {
+      // Skip whole hours until the hour in which the freeze ends
+      time += parts.stamp.substring(0, 13) === freeze.to.substring(0, 13) ? 60000 : (60 - parts.minute) * 60000;
+      continue;
+    }
+    if (windows.length === 0) {
+      return time;
+    }
+
+    const dayWindows = windows.filter(w => windowMatchesDay(w, parts));
+    const hourWindows = dayWindows.filter(w => w.hour.has(parts.hour));
+    if (hourWindows.some(w => w.minute.has(parts.minute))) {
+      return time;
+    }
+    if (dayWindows.length === 0) {
+      time += ((23 - parts.hour) * 60 + (60 - parts.minute)) * 60000;
+    } else if (hourWindows.length === 0) {
+      time += (60 - parts.minute) * 60000;
+    } else {
+      time += 60000;
+    }
+  }
+  return null;
+};
+
+// Check whether a merge into base is allowed now by the merge windows and freezes of its merge policy
+// Returns { open: true } or { open: false, reason, next } where next is the next open slot (ISO time, or null)
+const checkMergeWindow = async (base, now = Date.now()) => {
+  const policy = await loadMergePolicy(base);
+  const rules = policy ? policy.rules : {};
+  if (!rules.merge_windows && !rules.freeze) {
+    return { open: true };
+  }
+
+  const windows = (Array.isArray(rules.merge_windows) ? rules.merge_windows : [rules.merge_windows].filter(Boolean)).map(parseMergeWindow);
+  const freezes = (Array.isArray(rules.freeze) ? rules.freeze : [rules.freeze].filter(Boolean)).map(parseFreeze);
+  const timeZone = rules.timezone || null;
+
+  const parts = getZonedParts(now, timeZone);
+  const freeze = freezes.find(f => parts.stamp >= f.from && parts.stamp <= f.to);
+  const inWindow = windows.length === 0 || windows.some(w => windowMatchesDay(w, parts) && w.hour.has(parts.hour) && w.minute.has(parts.minute));
+  if (!freeze && inWindow) {
+    return { open: true };
+  }
+
+  const next = findNextMergeSlot(windows, freezes, timeZone, now);
+  return {
+    open: false,
+    reason: freeze
+      ? `${base} is frozen from ${freeze.from} to ${freeze.to}${freeze.reason ? ` (${freeze.reason})` : ''}`
+      : `${base} is outside its merge windows (${windows.map(w => w.expr).join('; ')})`,
+    timezone: timeZone || Intl.DateTimeFormat().resolvedOptions().timeZone,
+    next: next === null ? null : new Date(next).toISOString()
+  };
+};
+
+// Format owners rule and reviewer pool assignments, one line per person and rule
+const formatAssignments = (assignments) => {
+  return assignments.map(a => (a.files.length > 0
+    ? `• ${a.login} (${a.role}) by rule "${a.rule}"${a.group ? ` via group @${a.group}` : ''}: ${a.files.join(', ')}${a.matched_files > a.files.length ? ` and ${a.matched_files - a.files.length} more` : ''}`
+    : `• ${a.login} (${a.role}) by ${a.rule}${a.open_reviews !== null ? `, ${a.open_reviews} open review(s)` : ''}`
+  )).join('\n');
+};
+
+// Preview what the pr tool would create, without creating anything
+const previewPullRequest = async (params, comparison) => {
+  const { title, body, draft, on_existing, template, issues = [], head = HEAD_RAW, base = BASE_RAW } = params;
+  const built = await buildPullRequestBody({ ...params, dry_run: true });
+  const { requestBody, assignments } = built;
+  const warnings = [...(params.warnings || []), ...built.warnings];
+  const existing = await findOpenPullRequest(head, base);
+
+  const stats = {
+    commits: comparison.commits.length,
+    files: comparison.files.length,
+    additions: comparison.files.reduce((sum, f) => sum + f.additions, 0),
+    deletions: comparison.files.reduce((sum, f) => sum + f.deletions, 0)
+  };
+
+  logRequest('pr', { title, body, draft, dry_run: true }, { identical: comparison.identical, stats, existing: existing ? existing.number : null });
+
+  let message = `🔍 **Dry run: Pull Request preview** (nothing was created)\n\n• From: ${formatBranchName(head)}\n• To: ${formatBranchName(base)}\n`;
+  if (comparison.identical) {
+    message += `\n⚠️ **Nothing to merge:** ${formatBranchName(head)} has no commits that are not already in ${formatBranchName(base)}. Creating this Pull Request would fail.\n`;
+  } else {
+    message += `• Changes: ${stats.commits} commit(s), ${stats.files} file(s), +${stats.additions} -${stats.deletions}\n`;
+    message += `\n📝 **Commits:**\n${comparison.commits.map(c => `• ${String(c.sha).substring(0, 8)} ${c.message}${c.author ? ` (${c.author})` : ''}`).join('\n')}\n`;
+    message += `\n📄 **Changed files:**\n${comparison.files.map(f => `• ${f.filename} (${f.status}, +${f.additions} -${f.deletions})`).join('\n')}\n`;
+  }
+  if (existing) {
+    message += `\nℹ️ An open Pull Request already exists: #${existing.number} (${existing.html_url}). With on_existing "${on_existing}" no new PR would be created.\n`;
+  }
+  if (template) {
+    message += template.errors.length > 0
+      ? `\n⚠️ **PR template (${template.source}) not satisfied**, creation would be rejected:\n${template.errors.map(e => `• ${e}`).join('\n')}\n`
+      : `\n📋 PR template applied: ${template.source}\n`;
+  }
+  if (issues.length > 0) {
+    message += `\n🔗 **Issues:**\n${formatIssueLinks(issues)}\n`;
+  }
+  if (assignments.length > 0) {
+    message += `\n👥 **Added by rules:**\n${formatAssignments(assignments)}\n`;
+  }
+  if (warnings.length > 0) {
+    message += `\n⚠️ **Warnings:**\n${warnings.map(w => `• ${w}`).join('\n')}\n`;
+  }
+  message += `\n📦 **Request body that would be sent:**\n\`\`\`json\n${JSON.stringify(requestBody, null, 2)}\n\`\`\``;
+
+  return {
+    success: true,
+    dry_run: true,
+    head,
+    base,
+    identical: comparison.identical,
+    nothing_to_merge: comparison.identical,
+    stats,
+    commits: comparison.commits,
+    files: comparison.files,
+    existing_pull_request: existing ? { number: existing.number, url: existing.html_url } : null,
+    template: template || null,
+    warnings,
+    assignments,
+    issues,
+    request_body: requestBody,
+    message
+  };
+};
+
+// Handle the pr tool when an open PR from head to base already exists
+// on_existing: "return" the existing PR, "update" its title/body, or "fail"
+const handleExistingPullRequest = async (existing, params) => {
+  const { title, body, draft, on_existing, head = HEAD_RAW, base = BASE_RAW } = params;
+  const number = existing.number;
+  const url = existing.html_url || `https://gitee.com/${OWNER}/${REPO}/pulls/${number}`;
+  const notice = `An open Pull Request from ${formatBranchName(head)} to ${formatBranchName(base)} already exists: #${number} "${existing.title}"`;
+
+  if (on_existing === 'fail') {
+    logRequest('pr', { title, body, draft, on_existing }, null, notice);
+    return {
+      success: false,
+      existing: true,
+      action: 'failed',
+      error: `Gitee Pull Request creation failed: ${notice}`,
+      number,
+      url,
+      pull_request: existing,
+      message: `Failed to create Pull Request. ${notice} (${url}). Use on_existing "return" or "update" to reuse it.`
+    };
+  }
+
+  let pullRequest = existing;
+  let changes = {};
+  if (on_existing === 'update') {
+    const fields = { title };
+    if (body !== undefined && body !== '') {
+      fields.body = body;
+    }
+    ({ pullRequest, changes } = await updateGiteePullRequest(number, fields));
+  }
+
+  const changedFields = Object.keys(changes);
+  const action = on_existing === 'update' ? 'updated' : 'returned';
+  logRequest('pr', { title, body, draft, on_existing }, { existing: number, action, changed: changedFields });
+
+  const actionText = on_existing === 'update'
+    ? (changedFields.length > 0 ? `No new PR was created; the existing PR was updated (${changedFields.join(', ')}).` : 'No new PR was created; the existing PR already had this title and body.')
+    : 'No new PR was created; returning the existing PR.';
+
+  return {
+    success: true,
+    existing: true,
+    action,
+    pull_request: pullRequest,
+    response: pullRequest,
+    url,
+    number,
+    changes,
+    message: `ℹ️ ${notice}.\n${actionText}\n\n📋 **PR Details:**\n• Number: #${number}\n• Title: ${pullRequest.title || existing.title}\n• URL: ${url}\n\n🔗 **Direct Link:** [View PR #${number}](${url})`
+  };
+};
+
+// Run review/test on a Pull Request and report its updated approval and test state
+const runPullRequestCheck = async (kind, action, params) => {
+  const { number, force = false } = params || {};
+  const toolName = `${kind}_pr`;
+  const label = kind === 'review' ? 'Review' : 'Test';
+
+  try {
+    const prNumber = parsePrNumber(number);
+    await action(prNumber, force === true || force === 'true');
+
+    // Fetch the Pull Request again to report the updated state
+    const pr = (await makeGiteeRequest('GET', `/repos/${OWNER}/${REPO}/pulls/${prNumber}`, null)).data || {};
+    const { review, test, mergeable, state } = summarizePullRequest(pr, [], []);
+
+    logRequest(toolName, { number: prNumber, force }, { review, test });
+
+    return {
+      success: true,
+      number: prNumber,
+      url: pr.html_url || `https://gitee.com/${OWNER}/${REPO}/pulls/${prNumber}`,
+      force: force === true || force === 'true',
+      state,
+      mergeable,
+      review,
+      test,
+      message: `${label} completed for PR #${prNumber}. Review: ${review.approved}/${review.required} approved${review.passed ? ' ✓' : ''}; Test: ${test.passed_count}/${test.required} passed${test.passed ? ' ✓' : ''}`
+    };
+  } catch (err) {
+    logRequest(toolName, { number, force }, null, err.error || err.message);
+    return buildToolError(`${label} of Pull Request #${number}`, err);
+  }
+};
+
+// Auto review/test/merge workflows, saved as state records in the state directory so a restart can resume them
+// A record: { number, url, head, base, status, steps: [{ name, status, attempts, error, ... }], issues, issue_state_on_merge }
+// Workflow status: pending, running, scheduled, completed or failed; step status: pending, running, scheduled, done, skipped or failed
+// A merge outside the merge windows is "scheduled" and run again by the scheduled merge timer
+const WORKFLOW_STATE_FILE = 'workflows.json';
+const WORKFLOW_STEPS = ['review', 'test', 'merge', 'issue_state'];
+const WORKFLOW_MAX_ATTEMPTS = parseInt(process.env.WORKFLOW_MAX_ATTEMPTS, 10) || 3; // Tries per step, counting interrupted runs
+const WORKFLOW_HISTORY = 100; // Finished workflows kept in the state file
+const runningWorkflows = new Set();
+
+const readWorkflows = () => (readStateFile(WORKFLOW_STATE_FILE) || {}).workflows || {};
+
+// Change one workflow record and save it right away
+// Synchronous read-modify-write, so workflows running side by side cannot overwrite each other
+const updateWorkflow = (number, update) => {
+  const state = readStateFile(WORKFLOW_STATE_FILE) || {};
+  const workflows = state.workflows || {};
+  const record = workflows[number];
+  if (record) {
+    update(record);
+    record.updated_at = new Date().toISOString();
+    writeStateFile(WORKFLOW_STATE_FILE, { ...state, workflows });
+  }
+  return record;
+};
+
+const updateWorkflowStep = (number, name, update) => updateWorkflow(number, record => {
+  update(record.steps.find(s => s.name === name));
+});
+
+// Save the workflow for a new Pull Request with the steps enabled by AUTO_REVIEW, AUTO_TEST and AUTO_MERGE
+const createWorkflow = ({ number, url, head, base, issues = [], issue_state_on_merge }) => {
+  const enabled = {
+    review: AUTO_REVIEW,
+    test: AUTO_TEST,
+    merge: AUTO_MERGE,
+    issue_state: AUTO_MERGE && !!issue_state_on_merge && issues.length > 0
+  };
+  const now = new Date().toISOString();
+  const record = {
+    number,
+    url,
+    head,
+    base,
+    status: 'pending',
+    steps: WORKFLOW_STEPS.filter(name => enabled[name]).map(name => ({ name, status: 'pending', attempts: 0, error: null })),
+    issues,
+    issue_state_on_merge: issue_state_on_merge || null,
+    created_at: now,
+    updated_at: now
+  };
+
+  const state = readStateFile(WORKFLOW_STATE_FILE) || {};
+  const workflows = state.workflows || {};
+  workflows[number] = record;
+
+  // Drop the oldest finished workflows
+  const finished = Object.values(workflows)
+    .filter(w => !['pending', 'running', 'scheduled'].includes(w.status))
+    .sort((a, b) => String(a.updated_at).localeCompare(String(b.updated_at)));
+  finished.slice(0, Math.max(finished.length - WORKFLOW_HISTORY, 0)).forEach(w => { delete workflows[w.number]; });
+
+  writeStateFile(WORKFLOW_STATE_FILE, { ...state, workflows });
+  return record;
+};
+
+// Run one workflow step, returns { status, error, outcome } for the record; results collects the full responses
+const runWorkflowStep = async (record, name, results) => {
+  const { number } = record;
+
+  if (name === 'review' || name === 'test') {
+    const label = name === 'review' ? 'review' : 'test';
+    console.error(`AUTO_${label.toUpperCase()} is enabled, automatically ${label === 'review' ? 'reviewing' : 'testing'} PR #${number}...`);
+    try {
+      results[name] = await (name === 'review' ? reviewGiteePullRequest : testGiteePullRequest)(number, false);
+      console.error(`✓ Auto ${label} completed for PR #${number}`);
+      logRequest(`auto_${label}`, { prNumber: number, force: false }, results[name]);
+      return { status: 'done' };
+    } catch (err) {
+      console.error(`✗ Auto ${label} failed for PR #${number}:`, err.error || err.message);
+      logRequest(`auto_${label}`, { prNumber: number, force: false }, null, err.error || err.message);
+      return { status: 'failed', error: err.error || err.message };
+    }
+  }
+
+  if (name === 'merge') {
+    // Only merge if the test passed (or AUTO_TEST is off)
+    const testStep = record.steps.find(s => s.name === 'test');
+    if (testStep && testStep.status !== 'done') {
+      console.error(`⚠ AUTO_MERGE is enabled but test failed, skipping merge for PR #${number}`);
+      return { status: 'skipped', error: 'Auto test did not pass' };
+    }
+
+    // A resumed workflow may find the PR merged by the interrupted run
+    const pr = (await makeGiteeRequest('GET', `/repos/${OWNER}/${REPO}/pulls/${number}`, null)).data || {};
+    if (pr.state === 'merged') {
+      results.merge = { outcome: 'merged', result: null, attempts: 0, waited_seconds: 0, pending: [], blockers: [], message: `PR #${number} was already merged` };
+      return { status: 'done', outcome: 'merged' };
+    }
+
+    console.error(AUTO_MERGE_WAIT
+      ? `AUTO_MERGE is enabled, waiting until PR #${number} can be merged (timeout ${AUTO_MERGE_TIMEOUT}s)...`
+      : `AUTO_MERGE is enabled, automatically merging PR #${number}...`);
+    try {
+      // Outside the merge windows of the base branch the merge is scheduled for the next open slot
+      const base = pr.base && pr.base.ref ? pr.base.ref : record.base;
+      const mergeWindow = await checkMergeWindow(base);
+      if (!mergeWindow.open) {
+        results.merge = scheduleMerge({ number, base, kind: 'workflow', window: mergeWindow });
+        console.error(`⏰ ${results.merge.message}`);
+        logRequest('auto_merge', { prNumber: number }, null, results.merge.message);
+        return results.merge.outcome === 'scheduled'
+          ? { status: 'scheduled', outcome: 'scheduled' }
+          : { status: 'failed', outcome: results.merge.outcome, error: results.merge.message };
+      }
+
+      // With AUTO_MERGE_WAIT the PR waits for mergeability, reviews and tests before it joins the merge queue
+      let wait = null;
+      if (AUTO_MERGE_WAIT) {
+        wait = summarizeMergeWait(number, await waitForMergeable(number));
+        if (wait.outcome !== 'ready') {
+          results.merge = wait;
+          console.error(`✗ ${wait.message}`);
+          logRequest('auto_merge', { prNumber: number, wait: true }, null, wait.message);
+          return { status: 'failed', outcome: wait.outcome, error: wait.message };
+        }
+      }
+
+      // Merges into the same base branch wait for their turn in the merge queue
+      const autoMerge = await enqueueMerge(number, base, wait);
+      results.merge = autoMerge;
+      if (autoMerge.outcome === 'dequeued') {
+        console.error(`⚠ ${autoMerge.message}`);
+        logRequest('auto_merge', { prNumber: number }, null, autoMerge.message);
+        return { status: 'skipped', outcome: 'dequeued', error: autoMerge.message };
+      }
+      if (autoMerge.outcome === 'scheduled') {
+        console.error(`⏰ ${autoMerge.message}`);
+        logRequest('auto_merge', { prNumber: number }, null, autoMerge.message);
+        return { status: 'scheduled', outcome: 'scheduled' };
+      }
+      const merged = autoMerge.outcome === 'merged';
+      console.error(`${merged ? '✓' : '✗'} ${autoMerge.message}`);
+      logRequest('auto_merge', { prNumber: number, wait: AUTO_MERGE_WAIT }, merged ? { ...autoMerge.result, outcome: autoMerge.outcome } : null, merged ? null : autoMerge.message);
+      return merged ? { status: 'done', outcome: 'merged' } : { status: 'failed', outcome: autoMerge.outcome, error: autoMerge.message };
+    } catch (err) {
+      console.error(`✗ Auto merge failed for PR #${number}:`, err.error || err.message);
+      logRequest('auto_merge', { prNumber: number }, null, err.error || err.message);
+      results.merge = { outcome: 'failed', message: `Auto merge of PR #${number} failed: ${err.error || err.message}` };
+      return { status: 'failed', outcome: 'failed', error: err.error || err.message };
+    }
+  }
+
+  // issue_state: move the linked issues to the configured state once the PR is merged
+  const mergeStep = record.steps.find(s => s.name === 'merge');
+  if (!mergeStep || mergeStep.status !== 'done') {
+    return { status: 'skipped', error: 'Pull Request was not merged' };
+  }
+  const state = record.issue_state_on_merge;
+  results.issue_state = [];
+  for (const issueNumber of record.issues) {
+    try {
+      await updateIssueState(issueNumber, state);
+      results.issue_state.push({ number: issueNumber, state_change: `moved to ${state}` });
+      logRequest('issue_state', { number: issueNumber, state }, { success: true });
+    } catch (stateErr) {
+      results.issue_state.push({ number: issueNumber, state_change: `could not move to ${state}: ${stateErr.error || stateErr.message}`, failed: true });
+      logRequest('issue_state', { number: issueNumber, state }, null, stateErr.error || stateErr.message);
+    }
+  }
+  const failed = results.issue_state.filter(i => i.failed).map(i => `#${i.number}`);
+  return failed.length > 0 ? { status: 'failed', error: `Could not move ${failed.join(', ')} to ${state}` } : { status: 'done' };
+};
+
+// Run the pending steps of a workflow in order, saving the record before and after each step
+// Steps left "running" by a killed process are run again until WORKFLOW_MAX_ATTEMPTS is reached
+// With stopBefore the run ends before that step and the workflow stays pending, to be run again later
+// Returns { record, results }, results has the responses of the steps run by this call
+const runWorkflow = async (number, { stopBefore = null } = {}) => {
+  const results = {};
+  if (runningWorkflows.has(number)) {
+    return { record: readWorkflows()[number] || null, results };
+  }
+
+  runningWorkflows.add(number);
+  try {
+    updateWorkflow(number, record => { record.status = 'running'; });
+
+    for (const name of WORKFLOW_STEPS) {
+      if (name === stopBefore) {
+        break;
+      }
+      const record = readWorkflows()[number];
+      const step = record && record.steps.find(s => s.name === name);
+      if (!step || !['pending', 'running'].includes(step.status)) {
+        continue;
+      }
+
+      if (step.attempts >= WORKFLOW_MAX_ATTEMPTS) {
+        updateWorkflowStep(number, name, s => {
+          s.status = 'failed';
+          s.error = `Gave up after ${s.attempts} attempt(s)${s.error ? `: ${s.error}` : ''}`;
+        });
+        continue;
+      }
+
+      updateWorkflowStep(number, name, s => {
+        s.status = 'running';
+        s.attempts += 1;
+        s.started_at = new Date().toISOString();
+      });
+
+      let outcome;
+      try {
+        outcome = await runWorkflowStep(record, name, results);
+      } catch (err) {
+        outcome = { status: 'failed', error: err.error || err.message };
+      }
+
+      updateWorkflowStep(number, name, s => {
+        s.status = outcome.status;
+        s.error = outcome.error || null;
+        if (outcome.outcome) s.outcome = outcome.outcome;
+        s.finished_at = new Date().toISOString();
+      });
+
+      // The remaining steps run when the scheduled merge is due
+      if (outcome.status === 'scheduled') {
+        break;
+      }
+    }
+
+    const record = updateWorkflow(number, r => {
+      if (r.steps.some(s => s.status === 'scheduled')) {
+        r.status = 'scheduled';
+      } else if (stopBefore && r.steps.some(s => s.status === 'pending')) {
+        r.status = 'pending';
+      } else {
+        r.status = r.steps.some(s => s.status === 'failed') ? 'failed' : 'completed';
+      }
+    });
+    return { record, results };
+  } finally {
+    runningWorkflows.delete(number);
+  }
+};
+
+// Resume the workflows that were pending or running when the server stopped, one at a time
+const resumeWorkflows = async () => {
+  const pending = Object.values(readWorkflows()).filter(w => ['pending', 'running'].includes(w.status));
+  if (pending.length === 0) {
+    return;
+  }
+
+  console.error(`Resuming ${pending.length} unfinished workflow(s): ${pending.map(w => `#${w.number}`).join(', ')}`);
+  for (const workflow of pending) {
+    try {
+      const { record } = await runWorkflow(workflow.number);
+      console.error(`Workflow for PR #${workflow.number} ${record ? record.status : 'not found'}`);
+      logRequest('workflow_resume', { number: workflow.number }, { status: record ? record.status : null });
+    } catch (err) {
+      console.error(`✗ Failed to resume workflow for PR #${workflow.number}:`, err.error || err.message);
+      logRequest('workflow_resume', { number: workflow.number }, null, err.error || err.message);
+    }
+  }
+};
+
+// Continue a workflow without waiting for it (the AUTO_MERGE_WAIT merge after the pr call returned)
+const runWorkflowInBackground = (number) => {
+  runWorkflow(number).then(({ record }) => {
+    console.error(`Workflow for PR #${number} ${record ? record.status : 'not found'}`);
+    logRequest('workflow_background', { number }, { status: record ? record.status : null });
+  }).catch(err => {
+    console.error(`✗ Workflow for PR #${number} failed:`, err.error || err.message);
+    logRequest('workflow_background', { number }, null, err.error || err.message);
+  });
+};
+
+// One line per workflow: "#42 completed — review ✓, test ✓, merge ✗ (timed_out)"
+const formatWorkflow = (record) => {
+  const icons = { done: '✓', failed: '✗', skipped: '–', running: '…', pending: '○', scheduled: '⏰' };
+  const steps = record.steps.map(s => `${s.name} ${icons[s.status] || s.status}${s.outcome && !['merged', s.status].includes(s.outcome) ? ` (${s.outcome})` : ''}${s.attempts > 1 ? ` [${s.attempts} attempts]` : ''}`);
+  const errors = record.steps.filter(s => s.error).map(s => `  ${s.name}: ${s.error}`);
+  return [`• #${record.number} ${record.status} — ${steps.join(', ') || 'no steps'}`, ...errors].join('\n');
+};
+
+// Merges requested outside the merge windows, saved in the state directory until their slot comes
+// An entry: { number, base, kind: 'workflow' | 'manual', options, scheduled_for, reason, timezone, requested_at }
+// "workflow" entries continue the auto merge workflow of the PR, "manual" entries come from merge_pr
+const SCHEDULED_MERGES_FILE = 'scheduled-merges.json';
+const MAX_TIMER_DELAY = 2147483647; // Longest setTimeout delay (about 24.8 days), longer waits are re-armed
+const SCHEDULED_MERGE_RETRIES = 5; // Failed runs (Gitee errors, invalid policy...) before a scheduled merge is given up
+const SCHEDULED_MERGE_RETRY_DELAY = 60; // Seconds before the first retry, doubled for each further one
+const scheduledTimers = new Map();
+const runningScheduledMerges = new Set();
+
+const readScheduledMerges = () => (readStateFile(SCHEDULED_MERGES_FILE) || {}).merges || {};
+
+// Change the scheduled merges and save them right away
+const updateScheduledMerges = (update) => {
+  const state = readStateFile(SCHEDULED_MERGES_FILE) || {};
+  const merges = state.merges || {};
+  update(merges);
+  writeStateFile(SCHEDULED_MERGES_FILE, { ...state, merges });
+  return merges;
+};
+
+// Save a merge for the next open slot found by checkMergeWindow and arm its timer
+// Returns an auto merge summary with outcome "scheduled", or "blocked" when no slot opens within a year
+const scheduleMerge = ({ number, base, kind, options = {}, window }) => {
+  if (!window.next) {
+    return {
+      outcome: 'blocked',
+      result: null,
+      blockers: [{ reason: 'merge_window', message: window.reason }],
+      message: `Merge of PR #${number} blocked: no merge window opens in the next ${MERGE_SLOT_SEARCH_DAYS} days`
+    };
+  }
+
+  const entry = {
+    number,
+    base,
+    kind,
+    options,
+    scheduled_for: window.next,
+    reason: window.reason,
+    timezone: window.timezone,
+    requested_at: new Date().toISOString()
+  };
+  const previous = readScheduledMerges()[number];
+  updateScheduledMerges(merges => { merges[number] = entry; });
+  // A merge_pr request replaces the scheduled auto merge of the same PR
+  if (previous && previous.kind === 'workflow' && kind !== 'workflow') {
+    finishScheduledWorkflow(number, 'skipped', 'replaced', 'Replaced by a merge_pr request');
+  }
+  armScheduledMerge(entry);
+  return {
+    outcome: 'scheduled',
+    result: null,
+    scheduled_for: entry.scheduled_for,
+    reason: entry.reason,
+    message: `Merge of PR #${number} scheduled for ${entry.scheduled_for} (${entry.reason})`
+  };
+};
+
+// Timers do not keep the process alive; merges that became due while the server was down run on the next start
+const armScheduledMerge = (entry) => {
+  clearTimeout(scheduledTimers.get(entry.number));
+  const delay = Math.max(Date.parse(entry.scheduled_for) - Date.now(), 0);
+  const timer = setTimeout(() => {
+    scheduledTimers.delete(entry.number);
+    const current = readScheduledMerges()[entry.number];
+    if (!current) {
+      return;
+    }
+    if (Date.parse(current.scheduled_for) > Date.now()) {
+      armScheduledMerge(current);
+      return;
+    }
+    runScheduledMerge(current).catch(err => {
+      try {
+        retryScheduledMerge(current, err);
+      } catch (retryErr) {
+        console.error(`✗ Failed to retry the scheduled merge of PR #${current.number}:`, retryErr.message);
+      }
+    });
+  }, Math.min(delay, MAX_TIMER_DELAY));
+  timer.unref();
+  scheduledTimers.set(entry.number, timer);
+};
+
+// Arm a failed scheduled merge again with backoff; after SCHEDULED_MERGE_RETRIES failures it is removed
+// and a workflow merge fails its workflow, so nothing is left scheduled without a timer
+const retryScheduledMerge = (entry, err) => {
+  const error = err.error || err.message;
+  const failures = (entry.failures || 0) + 1;
+  logRequest('scheduled_merge', { number: entry.number, kind: entry.kind, failures }, null, error);
+
+  // A newer request for the PR (e.g. merge_pr) replaced this entry meanwhile
+  const current = readScheduledMerges()[entry.number];
+  if (!current || current.requested_at !== entry.requested_at) {
+    return;
+  }
+
+  if (failures >= SCHEDULED_MERGE_RETRIES) {
+    console.error(`✗ Scheduled merge of PR #${entry.number} failed ${failures} times, giving up: ${error}`);
+    updateScheduledMerges(merges => { delete merges[entry.number]; });
+    if (entry.kind === 'workflow') {
+      finishScheduledWorkflow(entry.number, 'failed', 'failed', `Scheduled merge failed ${failures} times: ${error}`);
+    }
+    return;
+  }
+
+  const retry = {
+    ...current,
+    failures,
+    last_error: error,
+    scheduled_for: new Date(Date.now() + SCHEDULED_MERGE_RETRY_DELAY * 1000 * 2 ** (failures - 1)).toISOString()
+  };
+  console.error(`✗ Scheduled merge of PR #${entry.number} failed (${error}), trying again at ${retry.scheduled_for}`);
+  updateScheduledMerges(merges => { merges[entry.number] = retry; });
+  armScheduledMerge(retry);
+};
+
+// Mark the scheduled merge step of a workflow as finished and settle the workflow status
+// The step may also be left pending or running by a scheduled run that failed
+const finishScheduledWorkflow = (number, status, outcome, error) => updateWorkflow(number, record => {
+  record.steps.forEach(s => {
+    if (s.name === 'merge' && ['scheduled', 'pending', 'running'].includes(s.status)) {
+      s.status = status;
+      s.outcome = outcome;
+      s.error = error;
+      s.finished_at = new Date().toISOString();
+    } else if (s.status === 'pending') {
+      s.status = 'skipped'; // Steps after the merge need the merge
+    }
+  });
+  record.status = record.steps.some(s => s.status === 'failed') ? 'failed' : 'completed';
+});
+
+// Run a due scheduled merge; the policy may have changed since, so the window is checked again
+// The entry stays saved until the run is over, so a failed or interrupted run is tried again
+const runScheduledMerge = async (entry) => {
+  const { number, base, kind } = entry;
+  const mergeWindow = await checkMergeWindow(base);
+  if (!mergeWindow.open) {
+    const rescheduled = scheduleMerge({ ...entry, window: mergeWindow });
+    console.error(`⏰ ${rescheduled.message}`);
+    if (rescheduled.outcome !== 'scheduled') {
+      updateScheduledMerges(merges => { delete merges[number]; });
+      if (kind === 'workflow') {
+        finishScheduledWorkflow(number, 'failed', rescheduled.outcome, rescheduled.message);
+      }
+    }
+    logRequest('scheduled_merge', { number, kind }, null, rescheduled.message);
+    return;
+  }
+
+  console.error(`Running the merge of PR #${number} into ${base} scheduled for ${entry.scheduled_for}...`);
+  runningScheduledMerges.add(number);
+  try {
+    if (kind === 'workflow') {
+      // The workflow runs its merge step again, then the steps after it; waiting for the slot is not a failed attempt
+      updateWorkflow(number, record => {
+        record.status = 'pending';
+        record.steps.forEach(s => {
+          if (s.name === 'merge' && ['scheduled', 'pending', 'running'].includes(s.status)) {
+            s.status = 'pending';
+            s.attempts = 0;
+          }
+        });
+      });
+      const { record } = await runWorkflow(number);
+      console.error(`Workflow for PR #${number} ${record ? record.status : 'not found'}`);
+      logRequest('scheduled_merge', { number, kind }, { status: record ? record.status : null });
+    } else {
+      const result = await mergePullRequestWithChecks(number, entry.options || {});
+      console.error(`${result.merged ? '✓' : '✗'} ${result.message}`);
+      logRequest('scheduled_merge', { number, kind }, result.merged ? result.merge : null, result.merged ? null : result.message);
+    }
+
+    // The merge may have been scheduled again (its window closed during the run)
+    updateScheduledMerges(merges => {
+      if (merges[number] && merges[number].requested_at === entry.requested_at) {
+        delete merges[number];
+      }
+    });
+  } finally {
+    runningScheduledMerges.delete(number);
+  }
+};
+
+// Arm the timers of the merges saved by earlier runs
+const resumeScheduledMerges = () => {
+  const entries = Object.values(readScheduledMerges());
+  if (entries.length > 0) {
+    console.error(`Re-arming ${entries.length} scheduled merge(s): ${entries.map(e => `#${e.number} at ${e.scheduled_for}`).join(', ')}`);
+  }
+  entries.forEach(armScheduledMerge);
+};
+
+// Cancel a scheduled merge; a cancelled workflow merge is recorded as skipped
+// Returns the cancelled entry, or null when nothing was scheduled for the PR; throws while the merge is running
+const cancelScheduledMerge = (number) => {
+  const entry = readScheduledMerges()[number];
+  if (!entry) {
+    return null;
+  }
+  if (runningScheduledMerges.has(number)) {
+    throw new Error(`The scheduled merge of PR #${number} is running right now and cannot be cancelled`);
+  }
+  clearTimeout(scheduledTimers.get(number));
+  scheduledTimers.delete(number);
+  updateScheduledMerges(merges => { delete merges[number]; });
+  if (entry.kind === 'workflow') {
+    finishScheduledWorkflow(number, 'skipped', 'cancelled', 'Scheduled merge cancelled');
+  }
+  return entry;
+};
+
+// Merge a Pull Request after checking its mergeability and the merge policy of its base branch
+// With schedule, a merge outside the merge windows is scheduled for the next open slot instead
+// Returns { success, merged, number, url, ... , message }; blockers are returned, not thrown
+const mergePullRequestWithChecks = async (prNumber, options = {}, { schedule = false } = {}) => {
+  const { title, description, prune_source_branch = false } = options;
+
+  // Check mergeability and the merge policy of the base branch first, so every problem is reported at once
+  const pr = (await makeGiteeRequest('GET', `/repos/${OWNER}/${REPO}/pulls/${prNumber}`, null)).data || {};
+  const url = pr.html_url || `https://gitee.com/${OWNER}/${REPO}/pulls/${prNumber}`;
+  const policyResult = await evaluateMergePolicy(pr, options.merge_method);
+  // Without a method from the call or the policy, Gitee merges with the repository's default method
+  const merge_method = policyResult.merge_method;
+  const blockers = [...getMergeBlockers(pr), ...policyResult.violations];
+  if (blockers.length > 0) {
+    return {
+      success: false,
+      merged: false,
+      number: prNumber,
+      url,
+      blockers,
+      message: `Pull Request #${prNumber} cannot be merged:\n${blockers.map(b => `• ${b.message}`).join('\n')}`
+    };
+  }
+
+  const base = pr.base ? pr.base.ref : BASE_RAW;
+  if (schedule) {
+    const mergeWindow = await checkMergeWindow(base);
+    if (!mergeWindow.open) {
+      const scheduled = scheduleMerge({ number: prNumber, base, kind: 'manual', options, window: mergeWindow });
+      if (scheduled.outcome !== 'scheduled') {
+        return { success: false, merged: false, number: prNumber, url, blockers: scheduled.blockers, message: `Pull Request #${prNumber} cannot be merged: ${mergeWindow.reason}, and no merge window opens in the next ${MERGE_SLOT_SEARCH_DAYS} days` };
+      }
+      return {
+        success: true,
+        merged: false,
+        scheduled: true,
+        number: prNumber,
+        url,
+        scheduled_for: scheduled.scheduled_for,
+        reason: scheduled.reason,
+        message: `Pull Request #${prNumber} not merged now: ${scheduled.reason}. The merge is scheduled for ${scheduled.scheduled_for} (see scheduled_merges)`
+      };
+    }
+  }
+
+  const mergeResult = await mergeGiteePullRequest(prNumber, { merge_method, title, description, prune_source_branch });
+  return {
+    success: true,
+    merged: true,
+    number: prNumber,
+    url,
+    merge_method: merge_method || null,
+    sha: mergeResult.data && mergeResult.data.sha ? mergeResult.data.sha : null,
+    source_branch_deleted: prune_source_branch === true,
+    merge: mergeResult.data,
+    message: `Pull Request #${prNumber} merged into ${base} using ${merge_method || 'the default merge method of the repository'}${prune_source_branch === true ? `, source branch ${pr.head ? pr.head.ref : HEAD_RAW} deleted` : ''}`
+  };
+};
+
+// 启动日志
+console.error('=== MCP Gitee Pull Request Server Starting ===');
+console.error(`Time: ${new Date().toISOString()}`);
+console.error(`Repository Name (auto-generated from repo): ${REPO_NAME}`);
+console.error(`Owner: ${OWNER}`);
+console.error(`Repo: ${REPO}`);
+console.error(`Head: ${HEAD}`);
+console.error(`Base: ${BASE}`);
+console.error(`AUTO_REVIEW: ${AUTO_REVIEW}`);
+console.error(`AUTO_TEST: ${AUTO_TEST}`);
+console.error(`AUTO_MERGE: ${AUTO_MERGE}`);
+console.error(`AUTO_MERGE_WAIT: ${AUTO_MERGE_WAIT ? `true (timeout ${AUTO_MERGE_TIMEOUT}s, interval ${AUTO_MERGE_INTERVAL}s x${AUTO_MERGE_BACKOFF} up to ${AUTO_MERGE_MAX_INTERVAL}s)` : 'false'}`);
+console.error(`MERGE_QUEUE_RETEST: ${MERGE_QUEUE_RETEST}`);
+console.error(`AUTO_BODY: ${AUTO_BODY}`);
+console.error(`CREATE_MISSING_LABELS: ${CREATE_MISSING_LABELS}`);
+console.error(`ISSUE_STATE_ON_MERGE: ${ISSUE_STATE_ON_MERGE || '(not set)'}`);
+console.error(`Owners File: ${OWNERS_FILE || '(not set)'}`);
+console.error(`Merge Policy File: ${MERGE_POLICY_FILE || '(not set)'}`);
+console.error(`Reviewer Pool: ${REVIEWER_POOL ? `${REVIEWER_POOL} (${REVIEWER_POOL_MODE}, ${REVIEWER_POOL_SIZE} per PR${REVIEWER_MAX_OPEN > 0 ? `, max ${REVIEWER_MAX_OPEN} open` : ''})` : '(not set)'}`);
+if (REVIEWER_POOL && !REVIEWER_POOL_MODES.includes(REVIEWER_POOL_MODE)) {
+  console.error(`Warning: Unknown REVIEWER_POOL_MODE "${REVIEWER_POOL_MODE}", using round_robin (supported: ${REVIEWER_POOL_MODES.join(', ')})`);
+}
+console.error(`Branch Allowlist: ${describeAllowedBranches() || '(any existing branch)'}`);
+console.error(`PR Template: ${PR_TEMPLATE || `${DEFAULT_PR_TEMPLATE_PATH} (if present)`}`);
+console.error(`Username (from env.username): ${USERNAME ? (USERNAME.length > 10 ? USERNAME.substring(0, 10) + '***' : USERNAME) : '(not set)'}`);
+console.error(`Username length: ${USERNAME.length}`);
+console.error(`Client ID: ${CLIENT_ID ? CLIENT_ID.substring(0, 8) + '***' : '(not set)'}`);
+console.error(`Scope: ${SCOPE}`);
+console.error(`Debug - process.env.scope_username: ${process.env.scope_username ? (process.env.scope_username.length > 10 ? process.env.scope_username.substring(0, 10) + '***' : process.env.scope_username) : '(not set)'}`);
+if (PROJECT_NAME) {
+  console.error(`Project Name: ${PROJECT_NAME}`);
+}
+console.error(`Started via: ${process.argv[1]}`);
+
+// 显示日志配置
+const logConfig = getLogConfig();
+console.error(`Log Directory: ${logConfig.dir}`);
+console.error(`Log File: ${logConfig.fullPath}`);
+console.error('================================');
+
+// Final MCP Server
+class FinalMCPServer {
+  constructor() {
+    this.name = 'gitee-pull-request-mcp-server';
+    this.version = '1.0.4';
+    this.initialized = false;
+  }
+
+  // Create Gitee Pull Request
+  async pr(params) {
+    const { title, body, draft, on_existing = 'return', dry_run = false, generate_body = AUTO_BODY, append_commits = false, template = true, issue } = params;
+    const { link_issues = true, issue_state_on_merge = ISSUE_STATE_ON_MERGE } = params;
+    // Per-call head/base branches override the environment defaults
+    const headRaw = params.head && String(params.head).trim() ? String(params.head).trim() : HEAD_RAW;
+    const baseRaw = params.base && String(params.base).trim() ? String(params.base).trim() : BASE_RAW;
+    // Per-call labels, assignees, testers and milestone, combined with the environment defaults
+    const { labels, assignees, testers, milestone, merge_strategy = 'override', create_missing_labels = CREATE_MISSING_LABELS } = params;
+    const options = { head: headRaw, base: baseRaw, labels, assignees, testers, milestone, merge_strategy, create_missing_labels };
+    const logParams = { title, body, draft, ...options };
+
+    try {
+      if (!ON_EXISTING_ACTIONS.includes(on_existing)) {
+        throw new Error(`Invalid on_existing parameter. Must be one of: ${ON_EXISTING_ACTIONS.join(', ')}`);
+      }
+
+      if (!MERGE_STRATEGIES.includes(merge_strategy)) {
+        throw new Error(`Invalid merge_strategy parameter. Must be one of: ${MERGE_STRATEGIES.join(', ')}`);
+      }
+
+      if (issue_state_on_merge && !ISSUE_STATES.includes(issue_state_on_merge)) {
+        throw new Error(`Invalid issue_state_on_merge parameter. Must be one of: ${ISSUE_STATES.join(', ')}`);
+      }
+
+      // Only branches given in the call are checked against the allowlist, the environment defaults are trusted
+      for (const [name, branch, fallback] of [['head', headRaw, HEAD_RAW], ['base', baseRaw, BASE_RAW]]) {
+        if (branch !== fallback && !isBranchAllowed(branch)) {
+          throw new Error(`Branch "${branch}" is not allowed as ${name}. Allowed branches: ${describeAllowedBranches()}`);
+        }
+      }
+
+      if (headRaw === baseRaw) {
+        throw new Error(`head and base must be different branches (both are "${headRaw}")`);
+      }
+
+      await Promise.all([ensureBranchExists(headRaw), ensureBranchExists(baseRaw)]);
+
+      const isDryRun = dry_run === true || dry_run === 'true';
+
+      // Compare branches first: used for the dry run, the "nothing to merge" check and the generated body
+      let comparison = null;
+      try {
+        comparison = await compareGiteeBranches(baseRaw, headRaw);
+      } catch (compareErr) {
+        if (isDryRun) {
+          throw compareErr;
+        }
+        // Comparison is only a pre-check (e.g. not available for fork branches), continue with creation
+        console.error(`Warning: Failed to compare ${baseRaw}...${headRaw}:`, compareErr.error || compareErr.message);
+      }
+
+      // Generate the body from commits when it is empty (generate_body / AUTO_BODY) or when append_commits is set
+      let prBody = body;
+      const bodyIsEmpty = !body || String(body).trim() === '';
+      const shouldAppend = append_commits === true || append_commits === 'true';
+      const shouldGenerate = (generate_body === true || generate_body === 'true') && bodyIsEmpty;
+      if (comparison && !comparison.identical && (shouldGenerate || shouldAppend)) {
+        const generated = generatePullRequestBody(comparison, { head: headRaw, base: baseRaw });
+        prBody = bodyIsEmpty ? generated : `${body}\n\n---\n\n${generated}`;
+      }
+
+      // Issues referenced in the branch name, title and body (and the issue argument)
+      const shouldLinkIssues = link_issues !== false && link_issues !== 'false';
+      const issueRefs = shouldLinkIssues ? extractIssueRefs({ branch: headRaw, title, body, issue }) : [];
+      let issues = issueRefs.length > 0 ? await lookupIssueRefs(issueRefs) : [];
+
+      // Fill the PR template (if any) and check its required sections
+      let templateResult = null;
+      const templateWarnings = [];
+      if (template !== false && template !== 'false') {
+        const loadedTemplate = await loadPullRequestTemplate(baseRaw, templateWarnings);
+        if (loadedTemplate) {
+          const applied = applyPullRequestTemplate(loadedTemplate.content, prBody, {
+            title: title && typeof title === 'string' ? title.trim() : '',
+            head: headRaw,
+            base: baseRaw,
+            commits: comparison ? comparison.commits.map(c => `- ${String(c.sha).substring(0, 8)} ${c.message}${c.author ? ` (@${c.author})` : ''}`).join('\n') : '',
+            issue: issue || issueRefs.map(ref => `#${ref.number}`).join(', ')
+          });
+          prBody = applied.body;
+          templateResult = { source: loadedTemplate.source, errors: applied.errors };
+        }
+      }
+
+      // Link the issues with a "Closes #…" footer
+      if (issues.length > 0) {
+        prBody = appendClosingFooter(prBody, issues);
+      }
+
+      // Changed files select the reviewers and testers from the owners rules
+      options.changed_files = comparison ? comparison.files.map(f => f.filename) : null;
+
+      if (isDryRun) {
+        return await previewPullRequest({ title, body: prBody, draft, ...options, on_existing, template: templateResult, issues, warnings: templateWarnings }, comparison);
+      }
+
+      // Check for an open PR between the same branches to avoid duplicates
+      // An existing PR is returned (or refused) whatever the new description is, only an update has to satisfy the template
+      const existing = await findOpenPullRequest(headRaw, baseRaw);
+      if (existing && on_existing !== 'update') {
+        return await handleExistingPullRequest(existing, { title, body: prBody, draft, on_existing, head: headRaw, base: baseRaw });
+      }
+
+      if (templateResult && templateResult.errors.length > 0) {
+        const notice = `PR description does not satisfy the template (${templateResult.source}): ${templateResult.errors.join('; ')}`;
+        logRequest('pr', { title, body, draft }, null, notice);
+        return {
+          success: false,
+          template_errors: templateResult.errors,
+          error: `Gitee Pull Request creation failed: ${notice}`,
+          message: `Failed to create Pull Request. The description does not satisfy the PR template (${templateResult.source}):\n${templateResult.errors.map(e => `• ${e}`).join('\n')}\n\nFill in these sections in "body" and try again.`
+        };
+      }
+
+      if (existing) {
+        return await handleExistingPullRequest(existing, { title, body: prBody, draft, on_existing, head: headRaw, base: baseRaw });
+      }
+
+      // Report "nothing to merge" clearly instead of letting Gitee fail
+      if (comparison && comparison.identical) {
+        const notice = `Nothing to merge: ${formatBranchName(headRaw)} has no commits that are not already in ${formatBranchName(baseRaw)}`;
+        logRequest('pr', { title, body, draft }, null, notice);
+        return {
+          success: false,
+          nothing_to_merge: true,
+          error: `Gitee Pull Request creation failed: ${notice}`,
+          message: `Failed to create Pull Request. ${notice}. Push your changes to ${headRaw} first.`
+        };
+      }
+
+      const result = await createGiteePullRequest({ title, body: prBody, draft, ...options });
+      
+      // Log operation
+      logRequest('pr', logParams, result);
+
+      // Check which of the referenced issues Gitee linked to the PR
+      if (issues.length > 0 && result.data && result.data.number) {
+        issues = await confirmLinkedIssues(result.data.number, issues);
+      }
+
+      // Auto review, test and merge as a saved workflow, so a restart can resume the remaining steps
+      let workflow = null;
+      let backgroundMerge = false;
+      if ((AUTO_REVIEW || AUTO_TEST || AUTO_MERGE) && result.data && result.data.number) {
+        createWorkflow({
+          number: result.data.number,
+          url: result.data.html_url || null,
+          head: headRaw,
+          base: baseRaw,
+          issues: issues.filter(i => i.exists).map(i => i.number),
+          issue_state_on_merge
+        });
+        // Waiting until the PR can be merged takes longer than a tool call may, so with AUTO_MERGE_WAIT
+        // the merge (and the steps after it) continue in the background; see workflow_status
+        workflow = await runWorkflow(result.data.number, { stopBefore: AUTO_MERGE_WAIT ? 'merge' : null });
+        if (workflow.record && workflow.record.status === 'pending') {
+          backgroundMerge = true;
+          runWorkflowInBackground(result.data.number);
+        }
+
+        (workflow.results.issue_state || []).forEach(change => {
+          const linkedIssue = issues.find(i => i.number === change.number);
+          if (linkedIssue) linkedIssue.state_change = change.state_change;
+        });
+      }
+      const reviewResult = workflow ? workflow.results.review || null : null;
+      const testResult = workflow ? workflow.results.test || null : null;
+      const autoMerge = workflow ? workflow.results.merge || null : null;
+      const mergeResult = autoMerge && autoMerge.outcome === 'merged' ? autoMerge.result : null;
+
+      // Return the complete response object from Gitee API
+      const response = {
+        success: true,
+        pull_request: result.data,
+        response: result.data, // Include full response object
+        url: result.data.html_url || result.data.url || null,
+        number: result.data.number || null,
+        head: headRaw,
+        base: baseRaw,
+        message: `🎉 Pull Request created successfully!\n\n📋 **PR Details:**\n• Number: #${result.data.number || 'N/A'}\n• Title: ${result.data.title || title}\n• From: ${formatBranchName(headRaw)}\n• To: ${formatBranchName(baseRaw)}\n• URL: ${result.data.html_url || result.data.url || 'N/A'}\n\n🔗 **Direct Link:** [View PR #${result.data.number || 'N/A'}](${result.data.html_url || result.data.url || '#'})\n\n⚠️ **IMPORTANT:** Please share this PR link with the team:\n**[${result.data.title || title}](https://gitee.com/${OWNER}/${REPO}/pulls/${result.data.number || 'N/A'})**\n\n📢 **PR URL for AI/Team:** [https://gitee.com/${OWNER}/${REPO}/pulls/${result.data.number || 'N/A'}](https://gitee.com/${OWNER}/${REPO}/pulls/${result.data.number || 'N/A'})\n\n💡 **Next Steps:**\n• Review the changes in the PR\n• Request reviews from team members if needed\n• Monitor CI/CD pipeline status\n• Merge when ready (if auto-merge is not enabled)`
+      };
+
+      // Explain reviewers and testers added by owners rules and the reviewer pool
+      if (result.assignments.length > 0) {
+        response.assignments = result.assignments;
+        response.message += `\n\n👥 **Added by rules:**\n${formatAssignments(result.assignments)}`;
+      }
+
+      // List the referenced issues and whether they were linked
+      if (issues.length > 0) {
+        response.issues = issues;
+        response.message += `\n\n🔗 **Issues:**\n${formatIssueLinks(issues)}`;
+      }
+
+      // Include template, label, reviewer and tester warnings
+      const warnings = [...templateWarnings, ...result.warnings];
+      if (warnings.length > 0) {
+        response.warnings = warnings;
+        response.message += `\n\n⚠️ **Warnings:**\n${warnings.map(w => `• ${w}`).join('\n')}`;
+      }
+
+      // Include review result if auto review was performed
+      if (reviewResult) {
+        response.auto_review = {
+          success: true,
+          review: reviewResult.data,
+          message: `Auto review completed for PR #${result.data.number}`
+        };
+      }
+
+      // Include test result if auto test was performed
+      if (testResult) {
+        response.auto_test = {
+          success: true,
+          test: testResult.data,
+          message: `Auto test completed for PR #${result.data.number}`
+        };
+      }
+
+      // The auto merge waits in the background, its final outcome is saved in the workflow's merge step
+      if (backgroundMerge) {
+        response.auto_merge = {
+          success: true,
+          outcome: 'waiting',
+          background: true,
+          timeout_seconds: AUTO_MERGE_TIMEOUT,
+          outcome_in: { tool: 'workflow_status', number: result.data.number, step: 'merge' },
+          message: `Waiting in the background until PR #${result.data.number} can be merged (timeout ${AUTO_MERGE_TIMEOUT}s). The final outcome (merged, timed_out, conflicted, not_open, blocked, scheduled or failed) is not in this response: call workflow_status with number ${result.data.number} and read the "outcome" of its merge step`
+        };
+        response.message += `\n\n⏳ **Auto merge:** ${response.auto_merge.message}`;
+      }
+
+      // Include merge result if auto merge was performed
+      if (mergeResult) {
+        response.auto_merge = {
+          success: true,
+          outcome: 'merged',
+          attempts: autoMerge.attempts,
+          waited_seconds: autoMerge.waited_seconds,
+          queue: autoMerge.queue,
+          merge: mergeResult.data,
+          message: autoMerge.message
+        };
+      } else if (autoMerge && autoMerge.outcome === 'scheduled') {
+        // Outside the merge windows: the merge runs at the next open slot
+        response.auto_merge = {
+          success: true,
+          outcome: 'scheduled',
+          scheduled_for: autoMerge.scheduled_for,
+          reason: autoMerge.reason,
+          message: autoMerge.message
+        };
+        response.message += `\n\n⏰ **Auto merge:** ${autoMerge.message}`;
+      } else if (autoMerge) {
+        // Auto merge that did not merge: blocked by the policy, timed out, conflicted, closed meanwhile,
+        // removed from the merge queue or failed
+        response.auto_merge = {
+          success: false,
+          outcome: autoMerge.outcome,
+          attempts: autoMerge.attempts,
+          waited_seconds: autoMerge.waited_seconds,
+          pending: autoMerge.pending,
+          blockers: autoMerge.blockers,
+          queue: autoMerge.queue,
+          message: autoMerge.message
+        };
+        response.message += `\n\n${autoMerge.outcome === 'timed_out' ? '⏳' : '⛔'} **Auto merge:** ${autoMerge.message}`;
+        if (autoMerge.outcome === 'blocked') {
+          response.message += `\n${autoMerge.blockers.map(b => `• ${b.message}`).join('\n')}`;
+        }
+      }
+
+      // Mention when the PR had to wait behind other merges into the same base
+      if (autoMerge && autoMerge.queue && (autoMerge.queue.waited_in_queue_seconds > 0 || autoMerge.queue.base_moved)) {
+        const { waited_in_queue_seconds, base_moved, retested } = autoMerge.queue;
+        response.message += `\n\n🚦 **Merge queue:** waited ${waited_in_queue_seconds}s for earlier merges into ${baseRaw}${base_moved ? `; ${baseRaw} moved meanwhile${retested ? ', test run again' : ''}` : ''}`;
+      }
+
+      // Saved workflow state (see the workflow_status tool)
+      if (workflow && workflow.record) {
+        response.workflow = { status: workflow.record.status, steps: workflow.record.steps };
+      }
+
+      return response;
+    } catch (err) {
+      // Log operation error
+      logRequest('pr', { title, body, draft }, null, err.error || err.message);
+      
+      // Return detailed error information including response data
+      const errorMessage = `Gitee Pull Request creation failed: ${err.error || err.message}${err.statusCode ? ` (Status: ${err.statusCode})` : ''}`;
+      
+      // Always return error object with response data if available
+      const errorResult = {
+        success: false,
+        error: errorMessage,
+        statusCode: err.statusCode || null,
+        message: `Failed to create Pull Request. Error: ${err.error || err.message}`
+      };
+      
+      // Include response data if available
+      if (err.data) {
+        errorResult.response = err.data;
+      }
+      
+      // Include raw response if available
+      if (err.rawResponse) {
+        errorResult.rawResponse = err.rawResponse;
+      }
+      
+      return errorResult;
+    }
+  }
+
+  // List Pull Requests
+  async list_prs(params) {
+    try {
+      const { pullRequests, totalCount, totalPage, truncated } = await listGiteePullRequests(params || {});
+      const page = (params && params.page) || 1;
+
+      const summary = pullRequests.map(pr => ({
+        number: pr.number,
+        title: pr.title,
+        author: pr.user ? pr.user.login : null,
+        state: pr.state,
+        draft: pr.draft || false,
+        mergeable: pr.mergeable,
+        head: pr.head ? pr.head.ref : null,
+        base: pr.base ? pr.base.ref : null,
+        created_at: pr.created_at,
+        url: pr.html_url
+      }));
+
+      logRequest('list_prs', params, { count: summary.length, totalCount });
+
+      return {
+        success: true,
+        count: summary.length,
+        total_count: totalCount,
+        total_page: totalPage,
+        page,
+        ...(truncated ? { truncated: true } : {}),
+        pull_requests: summary,
+        message: `📋 **Pull Requests in ${OWNER}/${REPO}** (${summary.length} shown${totalCount !== null ? ` of ${totalCount}` : ''}, page ${page}${totalPage ? `/${totalPage}` : ''})${truncated ? `\n\n⚠️ Only the first ${LIST_FILTER_MAX_PAGES * 100} Pull Requests were searched for the creation date range, narrow the filter to see all matches` : ''}\n\n${formatPullRequestTable(pullRequests)}`
+      };
+    } catch (err) {
+      logRequest('list_prs', params, null, err.error || err.message);
+      return buildToolError('Listing Pull Requests', err);
+    }
+  }
+
+  // Get Pull Request details
+  async get_pr(params) {
+    const { number } = params || {};
+
+    try {
+      const prNumber = parsePrNumber(number);
+      const details = await getGiteePullRequestDetails(prNumber);
+
+      logRequest('get_pr', { number: prNumber }, { number: details.number, state: details.state, stats: details.stats });
+
+      return {
+        success: true,
+        ...details
+      };
+    } catch (err) {
+      logRequest('get_pr', { number }, null, err.error || err.message);
+      return buildToolError(`Getting Pull Request #${number}`, err);
+    }
+  }
+
+  // Get Pull Request diff
+  async get_pr_diff(params) {
+    const { number, include, exclude, max_bytes } = params || {};
+
+    try {
+      const prNumber = parsePrNumber(number);
+      const diff = await getGiteePullRequestDiff(prNumber, { include, exclude, max_bytes });
+
+      logRequest('get_pr_diff', { number: prNumber, include, exclude, max_bytes }, {
+        included: diff.included.length,
+        skipped: diff.skipped.length,
+        bytes: diff.usedBytes
+      });
+
+      // Use a fence longer than any backtick run inside the diff
+      const longestBackticks = Math.max(0, ...diff.included.map(f => Math.max(0, ...(f.diff.match(/`+/g) || []).map(s => s.length))));
+      const fence = '`'.repeat(Math.max(3, longestBackticks + 1));
+
+      let message = `📄 **Diff of PR #${prNumber}** (${diff.included.length} of ${diff.totalFiles} files, ${diff.usedBytes} of ${diff.maxBytes} bytes)\n`;
+      for (const file of diff.included) {
+        message += `\n**${file.filename}** (${file.status}, +${file.additions} -${file.deletions})\n${fence}diff\n${file.diff.replace(/\n$/, '')}\n${fence}\n`;
+      }
+      if (diff.skipped.length > 0) {
+        message += `\n⚠️ **Skipped files (${diff.skipped.length}):**\n`;
+        for (const file of diff.skipped) {
+          message += `• ${file.filename} (${file.status}, +${file.additions} -${file.deletions}${file.bytes ? `, ${file.bytes} bytes` : ''}): ${file.reason}\n`;
+        }
+        if (diff.skipped.some(f => f.reason === 'exceeds max_bytes budget')) {
+          message += '\n💡 Call this tool again with a larger max_bytes or an include filter to see the skipped files.';
+        }
+      }
+
+      return {
+        success: true,
+        number: prNumber,
+        total_files: diff.totalFiles,
+        used_bytes: diff.usedBytes,
+        max_bytes: diff.maxBytes,
+        files: diff.included,
+        skipped: diff.skipped,
+        message
+      };
+    } catch (err) {
+      logRequest('get_pr_diff', { number, include, exclude, max_bytes }, null, err.error || err.message);
+      return buildToolError(`Getting diff of Pull Request #${number}`, err);
+    }
+  }
+
+  // Update Pull Request
+  async update_pr(params) {
+    const { number, title, body, labels, milestone_number, draft, state, create_missing_labels } = params || {};
+    const fields = { title, body, labels, milestone_number, draft, state };
+
+    try {
+      const prNumber = parsePrNumber(number);
+      if (Object.values(fields).every(value => value === undefined)) {
+        throw new Error('Nothing to update. Provide at least one of: title, body, labels, milestone_number, draft, state');
+      }
+
+      const { pullRequest, changes, warnings } = await updateGiteePullRequest(prNumber, { ...fields, create_missing_labels });
+      const changedFields = Object.keys(changes);
+
+      logRequest('update_pr', { number: prNumber, ...fields }, { changed: changedFields, warnings });
+
+      const result = {
+        success: true,
+        number: prNumber,
+        url: pullRequest.html_url || `https://gitee.com/${OWNER}/${REPO}/pulls/${prNumber}`,
+        changed: changedFields,
+        changes,
+        pull_request: pullRequest,
+        message: changedFields.length > 0
+          ? `Pull Request #${prNumber} updated: ${changedFields.join(', ')}`
+          : `Pull Request #${prNumber} already up to date, nothing changed`
+      };
+
+      if (warnings.length > 0) {
+        result.warnings = warnings;
+      }
+
+      return result;
+    } catch (err) {
+      logRequest('update_pr', { number, ...fields }, null, err.error || err.message);
+      return buildToolError(`Updating Pull Request #${number}`, err);
+    }
+  }
+
+  // Merge Pull Request
+  async merge_pr(params) {
+    const { number, merge_method, title, description, prune_source_branch = false } = params || {};
+    const logParams = { number, merge_method, title, description, prune_source_branch };
+
+    try {
+      const prNumber = parsePrNumber(number);
+
+      if (merge_method !== undefined && !MERGE_METHODS.includes(merge_method)) {
+        throw new Error(`Invalid merge_method parameter. Must be one of: ${MERGE_METHODS.join(', ')}`);
+      }
+
+      // Outside the merge windows of the base branch the merge is scheduled instead
+      const result = await mergePullRequestWithChecks(prNumber, { merge_method, title, description, prune_source_branch }, { schedule: true });
+      if (result.success) {
+        logRequest('merge_pr', logParams, result);
+      } else {
+        logRequest('merge_pr', logParams, null, result.blockers.map(b => b.message).join('; '));
+      }
+      return result;
+    } catch (err) {
+      logRequest('merge_pr', logParams, null, err.error || err.message);
+      return buildToolError(`Merging Pull Request #${number}`, err);
+    }
+  }
+
+  // Mark Pull Request as reviewed
+  async review_pr(params) {
+    return runPullRequestCheck('review', reviewGiteePullRequest, params);
+  }
+
+  // Mark Pull Request as tested
+  async test_pr(params) {
+    return runPullRequestCheck('test', testGiteePullRequest, params);
+  }
+
+  // List Pull Request comments
+  async list_pr_comments(params) {
+    const { number, comment_type, page = 1, per_page = 50 } = params || {};
+
+    try {
+      const prNumber = parsePrNumber(number);
+      const comments = (await listGiteePullRequestComments(prNumber, { comment_type, page, per_page })).map(summarizeComment);
+
+      logRequest('list_pr_comments', { number: prNumber, comment_type, page, per_page }, { count: comments.length });
+
+      return {
+        success: true,
+        number: prNumber,
+        count: comments.length,
+        page,
+        comments
+      };
+    } catch (err) {
+      logRequest('list_pr_comments', { number, comment_type, page, per_page }, null, err.error || err.message);
+      return buildToolError(`Listing comments of Pull Request #${number}`, err);
+    }
+  }
+
+  // Add a general or line-level comment to a Pull Request
+  async comment_pr(params) {
+    const { number, body, path: filePath, line, side } = params || {};
+
+    try {
+      const prNumber = parsePrNumber(number);
+
+      let comment = { body };
+      if (filePath || line !== undefined) {
+        const [resolved] = await resolveLineComments(prNumber, [{ path: filePath, line, side, body }]);
+        if (resolved.error) {
+          throw new Error(resolved.error);
+        }
+        comment = resolved.comment;
+      }
+
+      const response = await createGiteePullRequestComment(prNumber, comment);
+
+      logRequest('comment_pr', { number: prNumber, path: filePath, line, side }, { id: response.data ? response.data.id : null });
+
+      return {
+        success: true,
+        number: prNumber,
+        comment: response.data ? summarizeComment(response.data) : null,
+        message: `Comment added to PR #${prNumber}${filePath ? ` on ${filePath}:${line}` : ''}`
+      };
+    } catch (err) {
+      logRequest('comment_pr', { number, path: filePath, line, side }, null, err.error || err.message);
+      return buildToolError(`Commenting on Pull Request #${number}`, err);
+    }
+  }
+
+  // Reply to a Pull Request comment
+  // Gitee has no reply parameter, so the reply is posted on the same diff position (same thread)
+  // quoting the original comment and mentioning its author
+  async reply_pr_comment(params) {
+    const { number, comment_id, body } = params || {};
+
+    try {
+      const prNumber = parsePrNumber(number);
+      if (!comment_id) {
+        throw new Error('Missing comment_id parameter');
+      }
+      if (!body || typeof body !== 'string' || body.trim() === '') {
+        throw new Error('Missing or invalid comment body parameter');
+      }
+
+      const original = (await makeGiteeRequest('GET', `/repos/${OWNER}/${REPO}/pulls/comments/${comment_id}`, null)).data || {};
+      const quote = String(original.body || '').split('\n').slice(0, 3).map(s => `> ${s}`).join('\n');
+      const mention = original.user && original.user.login ? `@${original.user.login} ` : '';
+
+      const comment = { body: `${quote}\n\n${mention}${body}` };
+      if (original.path) {
+        comment.path = original.path;
+        comment.position = original.position;
+        comment.commit_id = original.commit_id;
+      }
+
+      const response = await createGiteePullRequestComment(prNumber, comment);
+
+      logRequest('reply_pr_comment', { number: prNumber, comment_id }, { id: response.data ? response.data.id : null });
+
+      return {
+        success: true,
+        number: prNumber,
+        in_reply_to: comment_id,
+        comment: response.data ? summarizeComment(response.data) : null,
+        message: `Replied to comment ${comment_id} on PR #${prNumber}`
+      };
+    } catch (err) {
+      logRequest('reply_pr_comment', { number, comment_id }, null, err.error || err.message);
+      return buildToolError(`Replying to comment ${comment_id} on Pull Request #${number}`, err);
+    }
+  }
+
+  // Post a structured review: many line comments (and an optional summary comment) at once
+  async post_pr_review(params) {
+    const { number, comments, summary } = params || {};
+
+    try {
+      const prNumber = parsePrNumber(number);
+      if (!Array.isArray(comments) || comments.length === 0) {
+        throw new Error('Missing or invalid comments parameter. Must be a non-empty array of { path, line, body }');
+      }
+
+      const resolved = await resolveLineComments(prNumber, comments);
+
+      // Post one by one so each comment gets its own result
+      const results = [];
+      for (const entry of resolved) {
+        const { path: filePath, line, side } = entry;
+        if (entry.error) {
+          results.push({ path: filePath, line, side, success: false, error: entry.error });
+          continue;
+        }
+        try {
+          const response = await createGiteePullRequestComment(prNumber, entry.comment);
+          results.push({ path: filePath, line, side, success: true, comment_id: response.data ? response.data.id : null });
+        } catch (commentErr) {
+          results.push({ path: filePath, line, side, success: false, error: commentErr.error || commentErr.message });
+        }
+      }
+
+      let summaryResult = null;
+      if (summary && typeof summary === 'string' && summary.trim() !== '') {
+        try {
+          const response = await createGiteePullRequestComment(prNumber, { body: summary });
+          summaryResult = { success: true, comment_id: response.data ? response.data.id : null };
+        } catch (summaryErr) {
+          summaryResult = { success: false, error: summaryErr.error || summaryErr.message };
+        }
+      }
+
+      const posted = results.filter(r => r.success).length;
+      const failed = results.length - posted;
+
+      logRequest('post_pr_review', { number: prNumber, comments: comments.length, summary: !!summary }, { posted, failed });
+
+      const response = {
+        success: failed === 0 && (!summaryResult || summaryResult.success),
+        number: prNumber,
+        posted,
+        failed,
+        results,
+        message: `Review on PR #${prNumber}: ${posted} of ${results.length} comments posted${failed > 0 ? `, ${failed} failed` : ''}`
+      };
+
+      if (summaryResult) {
+        response.summary = summaryResult;
+      }
+
+      return response;
+    } catch (err) {
+      logRequest('post_pr_review', { number, comments: Array.isArray(comments) ? comments.length : 0 }, null, err.error || err.message);
+      return buildToolError(`Posting review on Pull Request #${number}`, err);
+    }
+  }
+
+  // List people who can be assigned as reviewers or testers
+  async list_collaborators(params) {
+    const { query } = params || {};
+
+    try {
+      const people = await getRepositoryCollaborators();
+      const needle = query ? String(query).trim().toLowerCase() : '';
+      const matches = needle
+        ? people.filter(p => [p.login, p.name, p.email].some(v => v && v.toLowerCase().includes(needle)))
+        : people;
+
+      logRequest('list_collaborators', params, { count: matches.length });
+
+      return {
+        success: true,
+        count: matches.length,
+        collaborators: matches,
+        message: matches.length > 0
+          ? `👥 **People who can review or test in ${OWNER}/${REPO}** (${matches.length})\n\n${matches.map(p => `• ${p.login}${p.name ? ` (${p.name})` : ''}${p.source === 'enterprise' ? ' [enterprise]' : ''}`).join('\n')}`
+          : `No collaborators of ${OWNER}/${REPO} match "${query}"`
+      };
+    } catch (err) {
+      logRequest('list_collaborators', params, null, err.error || err.message);
+      return buildToolError('Listing collaborators', err);
+    }
+  }
+
+  // List milestones
+  async list_milestones(params) {
+    const { state = 'open' } = params || {};
+
+    try {
+      if (!['open', 'closed', 'all'].includes(state)) {
+        throw new Error('Invalid state parameter. Must be one of: open, closed, all');
+      }
+
+      const milestones = (await getRepositoryMilestones(state)).map(summarizeMilestone);
+
+      logRequest('list_milestones', params, { count: milestones.length });
+
+      return {
+        success: true,
+        count: milestones.length,
+        milestones,
+        message: milestones.length > 0
+          ? `🏁 **Milestones in ${OWNER}/${REPO}** (${state})\n\n${milestones.map(m => `• #${m.number} ${m.title} (${m.state}${m.due_on ? `, due ${m.due_on}` : ''})`).join('\n')}`
+          : `No ${state === 'all' ? '' : `${state} `}milestones in ${OWNER}/${REPO}`
+      };
+    } catch (err) {
+      logRequest('list_milestones', params, null, err.error || err.message);
+      return buildToolError('Listing milestones', err);
+    }
+  }
+
+  // Create an issue
+  async create_issue(params) {
+    const { title, body, labels, assignee, milestone, pr_number, create_missing_labels } = params || {};
+
+    try {
+      const { issue, warnings } = await createGiteeIssue({ title, body, labels, assignee, milestone, pr_number, create_missing_labels });
+
+      logRequest('create_issue', { title, labels, assignee, milestone, pr_number }, { number: issue.number, url: issue.html_url });
+
+      return {
+        success: true,
+        number: issue.number,
+        url: issue.html_url || null,
+        issue: summarizeIssue(issue),
+        warnings,
+        message: `Issue #${issue.number} created: ${issue.html_url || ''}${warnings.length > 0 ? `\n\nWarnings:\n${warnings.map(w => `• ${w}`).join('\n')}` : ''}`
+      };
+    } catch (err) {
+      logRequest('create_issue', { title, labels, assignee, milestone, pr_number }, null, err.error || err.message);
+      return buildToolError('Creating issue', err);
+    }
+  }
+
+  // Get issue details with its comments
+  async get_issue(params) {
+    const { number } = params || {};
+
+    try {
+      const issueNumber = parseIssueNumber(number);
+      const { issue, comments } = await getGiteeIssue(issueNumber);
+
+      logRequest('get_issue', { number: issueNumber }, { number: issue.number, state: issue.state, comments: comments.length });
+
+      return {
+        success: true,
+        ...summarizeIssue(issue),
+        body: issue.body || '',
+        comment_list: comments.map(summarizeIssueComment)
+      };
+    } catch (err) {
+      logRequest('get_issue', { number }, null, err.error || err.message);
+      return buildToolError(`Getting issue ${number}`, err);
+    }
+  }
+
+  // List issues
+  async list_issues(params) {
+    try {
+      const { issues, totalCount, totalPage } = await listGiteeIssues(params || {});
+      const page = (params && params.page) || 1;
+
+      logRequest('list_issues', params, { count: issues.length, totalCount });
+
+      return {
+        success: true,
+        count: issues.length,
+        total_count: totalCount,
+        total_page: totalPage,
+        page,
+        issues: issues.map(summarizeIssue),
+        message: `📋 **Issues in ${OWNER}/${REPO}** (${issues.length} shown${totalCount !== null ? ` of ${totalCount}` : ''}, page ${page}${totalPage ? `/${totalPage}` : ''})\n\n${formatIssueTable(issues)}`
+      };
+    } catch (err) {
+      logRequest('list_issues', params, null, err.error || err.message);
+      return buildToolError('Listing issues', err);
+    }
+  }
+
+  // Comment on an issue
+  async comment_issue(params) {
+    const { number, body } = params || {};
+
+    try {
+      const issueNumber = parseIssueNumber(number);
+      if (!body || typeof body !== 'string' || body.trim() === '') {
+        throw new Error('Missing or invalid body parameter');
+      }
+
+      const response = await makeGiteeRequest('POST', `/repos/${OWNER}/${REPO}/issues/${encodeURIComponent(issueNumber)}/comments`, { body });
+      const comment = summarizeIssueComment(response.data || {});
+
+      logRequest('comment_issue', { number: issueNumber }, { id: comment.id });
+
+      return {
+        success: true,
+        number: issueNumber,
+        comment,
+        message: `Comment added to issue #${issueNumber}`
+      };
+    } catch (err) {
+      logRequest('comment_issue', { number }, null, err.error || err.message);
+      return buildToolError(`Commenting on issue ${number}`, err);
+    }
+  }
+
+  // Show the saved auto review/test/merge workflows
+  async workflow_status(params) {
+    const { number, status = 'all' } = params || {};
+    const statuses = ['pending', 'running', 'scheduled', 'completed', 'failed', 'active', 'all'];
+
+    try {
+      if (!statuses.includes(status)) {
+        throw new Error(`Invalid status parameter. Must be one of: ${statuses.join(', ')}`);
+      }
+
+      let workflows = Object.values(readWorkflows());
+      if (number !== undefined && number !== null && number !== '') {
+        const prNumber = parsePrNumber(number);
+        workflows = workflows.filter(w => w.number === prNumber);
+        if (workflows.length === 0) {
+          throw new Error(`No workflow saved for PR #${prNumber}`);
+        }
+      } else if (status === 'active') {
+        workflows = workflows.filter(w => ['pending', 'running', 'scheduled'].includes(w.status));
+      } else if (status !== 'all') {
+        workflows = workflows.filter(w => w.status === status);
+      }
+      workflows.sort((a, b) => String(b.updated_at).localeCompare(String(a.updated_at)));
+
+      logRequest('workflow_status', params, { count: workflows.length });
+
+      return {
+        success: true,
+        count: workflows.length,
+        workflows: workflows.map(w => ({ ...w, in_progress: runningWorkflows.has(w.number) })),
+        message: workflows.length > 0
+          ? `🔄 **Workflows in ${OWNER}/${REPO}**\n\n${workflows.map(formatWorkflow).join('\n')}`
+          : `No ${status === 'all' ? '' : `${status} `}workflows saved for ${OWNER}/${REPO}`
+      };
+    } catch (err) {
+      logRequest('workflow_status', params, null, err.error || err.message);
+      return buildToolError('Reading workflow status', err);
+    }
+  }
+
+  // Show the merge queues of this server
+  async queue_status(params) {
+    const { base } = params || {};
+
+    try {
+      const queues = [...mergeQueues.values()]
+        .filter(q => !base || q.base === base)
+        .map(q => ({
+          key: q.key,
+          base: q.base,
+          entries: [q.current, ...q.entries].filter(Boolean).map((entry, i) => summarizeQueueEntry(entry, q.current ? i : i + 1))
+        }))
+        .filter(q => q.entries.length > 0);
+
+      logRequest('queue_status', params, { count: queues.length });
+
+      const formatEntry = (e) => `  ${e.position === 0 ? '▶' : `${e.position}.`} PR #${e.number} ${e.status} (queued ${e.enqueued_at})`;
+      return {
+        success: true,
+        count: queues.length,
+        queues,
+        message: queues.length > 0
+          ? `🚦 **Merge queues**\n\n${queues.map(q => `• ${q.key}\n${q.entries.map(formatEntry).join('\n')}`).join('\n')}`
+          : `No PRs are waiting to be merged${base ? ` into ${base}` : ''}`
+      };
+    } catch (err) {
+      logRequest('queue_status', params, null, err.error || err.message);
+      return buildToolError('Reading the merge queues', err);
+    }
+  }
+
+  // Remove a waiting PR from the merge queue
+  async dequeue(params) {
+    const { number } = params || {};
+
+    try {
+      const prNumber = parsePrNumber(number);
+      const removed = dequeueMerge(prNumber);
+      if (!removed) {
+        throw new Error(`PR #${prNumber} is not waiting in a merge queue`);
+      }
+
+      logRequest('dequeue', { number: prNumber }, removed);
+
+      return {
+        success: true,
+        number: prNumber,
+        removed,
+        message: `PR #${prNumber} removed from the merge queue of ${removed.key}; it will not be auto merged`
+      };
+    } catch (err) {
+      logRequest('dequeue', { number }, null, err.error || err.message);
+      return buildToolError(`Removing PR #${number} from the merge queue`, err);
+    }
+  }
+
+  // List the merges scheduled for the next merge window, or cancel one
+  async scheduled_merges(params) {
+    const { cancel, base } = params || {};
+
+    try {
+      if (cancel !== undefined && cancel !== null && cancel !== '') {
+        const prNumber = parsePrNumber(cancel);
+        const cancelled = cancelScheduledMerge(prNumber);
+        if (!cancelled) {
+          throw new Error(`No merge is scheduled for PR #${prNumber}`);
+        }
+
+        logRequest('scheduled_merges', params, { cancelled: prNumber });
+
+        return {
+          success: true,
+          cancelled,
+          message: `Scheduled merge of PR #${prNumber} into ${cancelled.base} (${cancelled.scheduled_for}) cancelled; it will not be merged`
+        };
+      }
+
+      const merges = Object.values(readScheduledMerges())
+        .filter(m => !base || m.base === base)
+        .sort((a, b) => String(a.scheduled_for).localeCompare(String(b.scheduled_for)));
+
+      logRequest('scheduled_merges', params, { count: merges.length });
+
+      const formatEntry = (m) => `• PR #${m.number} into ${m.base} at ${m.scheduled_for} (${m.kind === 'workflow' ? 'auto merge' : 'merge_pr'}) — ${m.reason}${m.failures ? `; failed ${m.failures} time(s): ${m.last_error}` : ''}`;
+      return {
+        success: true,
+        count: merges.length,
+        merges,
+        message: merges.length > 0
+          ? `⏰ **Scheduled merges in ${OWNER}/${REPO}**\n\n${merges.map(formatEntry).join('\n')}`
+          : `No merges are scheduled${base ? ` into ${base}` : ''}`
+      };
+    } catch (err) {
+      logRequest('scheduled_merges', params, null, err.error || err.message);
+      return buildToolError(cancel ? `Cancelling the scheduled merge of PR #${cancel}` : 'Reading the scheduled merges', err);
+    }
+  }
+
+  // Get access token
+  async token(params) {
+    try {
+      const token = await getAccessToken();
+      
+      // Log operation
+      logRequest('token', {}, { success: true, token: token.substring(0, 10) + '...' });
+
+      return {
+        success: true,
+        access_token: token,
+        expires_at: new Date(tokenExpiresAt).toISOString(),
+        message: 'Access token retrieved successfully'
+      };
+    } catch (err) {
+      // Log operation error
+      logRequest('token', {}, null, err.error || err.message);
+      
+      throw new Error(`Failed to get access token: ${err.error || err.message}${err.statusCode ? ` (Status: ${err.statusCode})` : ''}`);
+    }
+  }
+
+  // Get operation logs
+  async logs(params) {
+    const { limit = 50, offset = 0 } = params || {};
+
+    // Validate parameters
+    if (typeof limit !== 'number' || limit < 1 || limit > 1000) {
+      throw new Error('Invalid limit parameter. Must be a number between 1 and 1000');
+    }
+
+    if (typeof offset !== 'number' || offset < 0) {
+      throw new Error('Invalid offset parameter. Must be a non-negative number');
+    }
+
+    // Get logs from memory
+    const logs = operationLogs.slice(offset, offset + limit);
+
+    return {
+      total: operationLogs.length,
+      limit,
+      offset,
+      logs: logs
+    };
+  }
+
+  // Handle JSON-RPC requests
+  async handleRequest(request) {
+    let result = null;
+    let error = null;
+    let method = null;
+    let params = null;
+    let id = null;
+
+    try {
+      // Validate request structure
+      if (!request || typeof request !== 'object') {
+        throw new Error('Invalid request: request must be an object');
+      }
+
+      // Validate JSON-RPC version
+      if (request.jsonrpc !== '2.0') {
+        throw new Error('Unsupported JSON-RPC version. Only 2.0 is supported.');
+      }
+
+      // Extract method, params, and id
+      method = request.method;
+      params = request.params;
+      id = request.id; // Can be undefined for notifications
+
+      // Validate method exists
+      if (!method || typeof method !== 'string') {
+        throw new Error('Invalid request: method is required and must be a string');
+      }
+
+      // Handle initialization
+      if (method === 'initialize') {
+        if (!this.initialized) {
+          this.initialized = true;
+        }
+
+        // Build server capabilities
+        const serverCapabilities = {
+          tools: {
+            listChanged: false
+          }
+        };
+        
+        // If client supports prompts, we also support it
+        if (params?.capabilities?.prompts) {
+          serverCapabilities.prompts = {
+            listChanged: false
+          };
+        }
+        
+        // If client supports resources, we also support it
+        if (params?.capabilities?.resources) {
+          serverCapabilities.resources = {
+            listChanged: false
+          };
+        }
+        
+        // If client supports logging, we also support it
+        if (params?.capabilities?.logging) {
+          serverCapabilities.logging = {
+            listChanged: false
+          };
+        }
+        
+        // If client supports roots, we also support it
+        if (params?.capabilities?.roots) {
+          serverCapabilities.roots = {
+            listChanged: false
+          };
+        }
+        
+        result = {
+          protocolVersion: params?.protocolVersion || '2025-06-18',
+          capabilities: serverCapabilities,
+          serverInfo: {
+            name: this.name,
+            version: this.version
+          }
+        };
+      } else if (method === 'tools/list') {
+        // Build tool name with repository name prefix for multi-instance support
+        // REPO_NAME is auto-generated from repo name
+        const getToolName = (baseName) => {
+          return REPO_NAME ? `${REPO_NAME}_${baseName}` : baseName;
+        };
+        
+        // Build tool description with project name
+        const getToolDescription = (baseDescription) => {
+          if (PROJECT_NAME) {
+            return `[${PROJECT_NAME}] ${baseDescription}`;
+          }
+          return baseDescription;
+        };
+        
+        // Build tools array
+        const tools = [
+          {
+            name: getToolName('pr'),
+            description: getToolDescription(`Create a Pull Request on Gitee for repository "${OWNER}/${REPO}".
+
+IMPORTANT: 
+- This tool creates a Pull Request from branch "${HEAD}" to "${BASE}" by default; "head" and "base" choose other branches
+- The repository is configured via environment variables (owner, repo, head, base)
+- Optional reviewers can be configured via assignees and testers environment variables
+${LABELS_ENV ? `- Default labels from environment: ${LABELS_ENV}` : ''}
+${MILESTONE_ENV ? `- Default milestone from environment: ${MILESTONE_ENV}` : ''}
+
+USAGE: 
+Call this tool with the following parameters:
+{
+  "title": "PR title (required)",
+  "body": "PR description (optional)",
+  "draft": false (optional, default: false),
+  "head": "${HEAD_RAW}" (optional, source branch, "username:branch" for a fork),
+  "base": "${BASE_RAW}" (optional, target branch),
+  "on_existing": "return" (optional: "return" | "update" | "fail", default: "return"),
+  "dry_run": false (optional, default: false),
+  "labels": "bug,performance" (optional),
+  "assignees": "user1,user2" (optional),
+  "testers": "user3" (optional),
+  "milestone": "v1.2" (optional, title or number of an open milestone),
+  "merge_strategy": "override" (optional: "override" | "merge", default: "override")
+}
+
+Labels, assignees and testers given here replace the defaults from the environment ("override"),
+or are added to them ("merge"). Labels must be 2-20 characters (letters, digits, underscore, Chinese characters).
+Labels are matched against the repository's labels (case-insensitive and aliases such as "bugfix" -> "bug");
+unknown labels are skipped${CREATE_MISSING_LABELS ? ' or created' : ' unless "create_missing_labels" is true'}. Warnings are returned in the result.
+Assignees and testers may be given by login, display name or email; they are checked against the repository
+collaborators and unknown names are skipped with suggestions (see the list_collaborators tool).
+${OWNERS_FILE ? `Reviewers and testers for the changed files are added from the owners rules in "${OWNERS_FILE}"; the result explains which rule added whom.
+` : ''}${REVIEWER_POOL ? `${REVIEWER_POOL_SIZE} reviewer(s) are picked from the reviewer pool (${REVIEWER_POOL_MODE}) unless "assignees" is given with merge_strategy "override".
+` : ''}
+ISSUES: Gitee issue ids found in the branch name (e.g. "feature/I4ABCD-login"), the title and the body ("#I4ABCD")
+are linked to the PR with a "Closes #I4ABCD" footer${ISSUE_STATE_ON_MERGE ? ` and moved to "${ISSUE_STATE_ON_MERGE}" after an auto merge` : ''}. Use "link_issues": false to skip this.
+
+BRANCHES: "head" and "base" must exist in the repository${BRANCH_ALLOWLIST || BRANCH_PATTERN ? ` and match the allowed branches (${describeAllowedBranches()})` : ''}.
+
+Use "dry_run": true to preview the Pull Request without creating it: the commits and changed files
+between the branches, whether there is anything to merge, and the exact request body that would be sent.
+
+If "body" is empty and "generate_body" is true${AUTO_BODY ? ' (enabled by default via AUTO_BODY)' : ''}, the description is generated from the commits
+between the branches, grouped by conventional commit type. Use "append_commits": true to add this summary to your own body.
+
+PR TEMPLATE: ${PR_TEMPLATE && !['none', 'false', 'off'].includes(PR_TEMPLATE.toLowerCase()) ? `"${PR_TEMPLATE}"` : `"${DEFAULT_PR_TEMPLATE_PATH}" from "${BASE}" (if present)`} is filled in with the
+placeholders {{title}}, {{head}}, {{base}}, {{commits}}, {{issue}} and {{body}} (your body). Without a {{body}} placeholder,
+a body that contains the template's headings is used instead of the template; write the sections in your body then.
+Sections whose heading is marked "<!-- required -->" must not be left empty (checklists need at least one checked item),
+otherwise the PR is rejected.
+Use "template": false to skip the template.
+
+If an open Pull Request from "${HEAD}" to "${BASE}" already exists, no duplicate is created:
+"return" returns the existing PR, "update" updates its title and body, "fail" returns an error.
+
+${LABELS_ENV ? `NOTE: Labels will be automatically added from environment variable: ${LABELS_ENV}` : ''}
+
+NOTE: After creating the PR, the tool will return the PR URL and number. You can share this information with the user.`),
+            inputSchema: {
+              type: 'object',
+              properties: {
+                title: {
+                  type: 'string',
+                  description: 'Pull Request title (required)'
+                },
+                body: {
+                  type: 'string',
+                  description: 'Pull Request description/body (optional)'
+                },
+                draft: {
+                  type: 'boolean',
+                  description: 'Whether this is a draft PR (optional, default: false)'
+                },
+                head: {
+                  type: 'string',
+                  description: `Source branch, "username:branch" for a fork (optional, default: ${HEAD})`
+                },
+                base: {
+                  type: 'string',
+                  description: `Target branch (optional, default: ${BASE})`
+                },
+                on_existing: {
+                  type: 'string',
+                  enum: ON_EXISTING_ACTIONS,
+                  description: 'What to do if an open PR from head to base already exists: return it, update its title/body, or fail (optional, default: return)'
+                },
+                dry_run: {
+                  type: 'boolean',
+                  description: 'Preview commits, changed files and the request body without creating the PR (optional, default: false)'
+                },
+                generate_body: {
+                  type: 'boolean',
+                  description: `Generate the description from the commits between head and base when body is empty (optional, default: ${AUTO_BODY})`
+                },
+                append_commits: {
+                  type: 'boolean',
+                  description: 'Append the generated commit summary to the given body (optional, default: false)'
+                },
+                template: {
+                  type: 'boolean',
+                  description: 'Fill in the PR template and check its required sections (optional, default: true)'
+                },
+                issue: {
+                  type: 'string',
+                  description: 'Issue to link, also used for the {{issue}} template placeholder, e.g. "#I4ABCD" (optional)'
+                },
+                labels: {
+                  type: 'string',
+                  description: `Comma-separated labels, combined with the defaults according to merge_strategy (optional${LABELS_ENV ? `, default: ${LABELS_ENV}` : ''})`
+                },
+                assignees: {
+                  type: 'string',
+                  description: `Comma-separated reviewer usernames, combined with the defaults according to merge_strategy (optional${ASSIGNEES ? `, default: ${ASSIGNEES}` : ''})`
+                },
+                testers: {
+                  type: 'string',
+                  description: `Comma-separated tester usernames, combined with the defaults according to merge_strategy (optional${TESTERS ? `, default: ${TESTERS}` : ''})`
+                },
+                milestone: {
+                  type: 'string',
+                  description: `Title or number of an open milestone to attach the PR to, an empty string for none (optional${MILESTONE_ENV ? `, default: ${MILESTONE_ENV}` : ''})`
+                },
+                merge_strategy: {
+                  type: 'string',
+                  enum: MERGE_STRATEGIES,
+                  description: 'How labels, assignees and testers combine with the environment defaults: override them or merge with them (optional, default: override)'
+                },
+                link_issues: {
+                  type: 'boolean',
+                  description: 'Link issues referenced in the branch name, title and body (#I4ABCD) with a "Closes #…" footer (optional, default: true)'
+                },
+                issue_state_on_merge: {
+                  type: 'string',
+                  enum: ISSUE_STATES,
+                  description: `Move the linked issues to this state when the PR is merged by AUTO_MERGE (optional${ISSUE_STATE_ON_MERGE ? `, default: ${ISSUE_STATE_ON_MERGE}` : ''})`
+                },
+                create_missing_labels: {
+                  type: 'boolean',
+                  description: `Create labels that do not exist in the repository instead of skipping them (optional, default: ${CREATE_MISSING_LABELS})`
+                }
+              },
+              required: ['title']
+            }
+          },
+          {
+            name: getToolName('list_prs'),
+            description: getToolDescription(`List Pull Requests of repository "${OWNER}/${REPO}".
+
+Returns a compact table with number, title, author, state, mergeable flag and URL.
+All parameters are optional; by default the first 20 open Pull Requests are returned.
+
+Example: {"state": "open", "base": "${BASE_RAW}", "author": "username", "labels": "bug", "page": 1, "per_page": 20}`),
+            inputSchema: {
+              type: 'object',
+              properties: {
+                state: {
+                  type: 'string',
+                  enum: ['open', 'closed', 'merged', 'all'],
+                  description: 'Pull Request state (optional, default: open)'
+                },
+                head: {
+                  type: 'string',
+                  description: 'Source branch name, e.g. "dev" or "user:dev" (optional)'
+                },
+                base: {
+                  type: 'string',
+                  description: 'Target branch name (optional)'
+                },
+                author: {
+                  type: 'string',
+                  description: 'Author username (optional)'
+                },
+                labels: {
+                  type: 'string',
+                  description: 'Comma-separated label names, e.g. "bug,performance" (optional)'
+                },
+                created_after: {
+                  type: 'string',
+                  description: `Only PRs created at or after this ISO 8601 date (optional). With a creation date filter, page and totals count the matching PRs among the first ${LIST_FILTER_MAX_PAGES * 100}`
+                },
+                created_before: {
+                  type: 'string',
+                  description: 'Only PRs created at or before this ISO 8601 date (optional)'
+                },
+                sort: {
+                  type: 'string',
+                  enum: ['created', 'updated', 'popularity', 'long-running'],
+                  description: 'Sort field (optional, default: created)'
+                },
+                direction: {
+                  type: 'string',
+                  enum: ['asc', 'desc'],
+                  description: 'Sort direction (optional, default: desc)'
+                },
+                page: {
+                  type: 'number',
+                  description: 'Page number, default 1'
+                },
+                per_page: {
+                  type: 'number',
+                  description: 'Page size, default 20, max 100'
+                }
+              }
+            }
+          },
+          {
+            name: getToolName('get_pr'),
+            description: getToolDescription(`Get full details of a Pull Request in repository "${OWNER}/${REPO}".
+
+Returns the Pull Request itself, its commits, changed files with additions/deletions,
+review and test status (required vs. approved) and mergeability.
+
+Example: {"number": 42}`),
+            inputSchema: {
+              type: 'object',
+              properties: {
+                number: {
+                  type: 'number',
+                  description: 'Pull Request number (required)'
+                }
+              },
+              required: ['number']
+            }
+          },
+          {
+            name: getToolName('get_pr_diff'),
+            description: getToolDescription(`Get the per-file diff (patch) of a Pull Request in repository "${OWNER}/${REPO}".
+
+- include / exclude: glob filters on file paths, e.g. "src/**/*.js" or "*.md"
+- max_bytes: output budget (default 60000). Files are included whole or not at all, so a hunk is never cut;
+  files that do not fit are listed as skipped with their size, so you can fetch them in a follow-up call.
+
+Example: {"number": 42, "include": ["src/**"], "exclude": ["*.min.js", "package-lock.json"], "max_bytes": 30000}`),
+            inputSchema: {
+              type: 'object',
+              properties: {
+                number: {
+                  type: 'number',
+                  description: 'Pull Request number (required)'
+                },
+                include: {
+                  type: 'array',
+                  items: { type: 'string' },
+                  description: 'Only include files matching these globs (optional)'
+                },
+                exclude: {
+                  type: 'array',
+                  items: { type: 'string' },
+                  description: 'Skip files matching these globs (optional)'
+                },
+                max_bytes: {
+                  type: 'number',
+                  description: 'Maximum size of the returned diff in bytes, default 60000'
+                }
+              },
+              required: ['number']
+            }
+          },
+          {
+            name: getToolName('update_pr'),
+            description: getToolDescription(`Update an existing Pull Request in repository "${OWNER}/${REPO}".
+
+Only the fields you pass are changed; the response lists which fields actually changed (with old and new values).
+Labels are checked like in the pr tool: 2-20 characters (alphanumeric, underscore or Chinese only), matched against the
+repository's labels (case-insensitive and aliases such as "bugfix" -> "bug"), unknown labels are skipped${CREATE_MISSING_LABELS ? ' or created' : ' unless "create_missing_labels" is true'}.
+
+Examples:
+- Fix the title: {"number": 42, "title": "Fix login timeout"}
+- Mark ready for review: {"number": 42, "draft": false}
+- Close a mistaken PR: {"number": 42, "state": "closed"}`),
+            inputSchema: {
+              type: 'object',
+              properties: {
+                number: {
+                  type: 'number',
+                  description: 'Pull Request number (required)'
+                },
+                title: {
+                  type: 'string',
+                  description: 'New title (optional)'
+                },
+                body: {
+                  type: 'string',
+                  description: 'New description/body (optional)'
+                },
+                labels: {
+                  type: 'array',
+                  items: { type: 'string' },
+                  description: 'Replace labels with this list (optional)'
+                },
+                create_missing_labels: {
+                  type: 'boolean',
+                  description: `Create labels that do not exist in the repository instead of skipping them (optional, default: ${CREATE_MISSING_LABELS})`
+                },
+                milestone_number: {
+                  type: 'number',
+                  description: 'Milestone number, 0 to remove the milestone (optional)'
+                },
+                draft: {
+                  type: 'boolean',
+                  description: 'Draft state (optional)'
+                },
+                state: {
+                  type: 'string',
+                  enum: ['open', 'closed'],
+                  description: 'Open or close the Pull Request (optional)'
+                }
+              },
+              required: ['number']
+            }
+          },
+          {
+            name: getToolName('merge_pr'),
+            description: getToolDescription(`Merge a Pull Request in repository "${OWNER}/${REPO}".
+
+The Pull Request is checked first: if it is closed, a draft, or has conflicts with the base branch,
+nothing is merged and the reasons are returned in "blockers".
+${MERGE_POLICY_FILE ? `The merge policy for the base branch in "${MERGE_POLICY_FILE}" (approvals, testers, labels, drafts, changed files,
+merge methods) is checked as well; every unmet rule is listed in "blockers".
+Outside the policy's merge windows or during a freeze the merge is not run now but scheduled for the next open slot
+(see scheduled_merges).
+` : ''}
+Example: {"number": 42, "merge_method": "squash", "title": "Add login (#42)", "prune_source_branch": true}`),
+            inputSchema: {
+              type: 'object',
+              properties: {
+                number: {
+                  type: 'number',
+                  description: 'Pull Request number (required)'
+                },
+                merge_method: {
+                  type: 'string',
+                  enum: MERGE_METHODS,
+                  description: `Merge method (optional, default: ${MERGE_POLICY_FILE ? 'the first method allowed by the merge policy, otherwise ' : ''}the default merge method of the repository)`
+                },
+                title: {
+                  type: 'string',
+                  description: 'Merge commit title (optional)'
+                },
+                description: {
+                  type: 'string',
+                  description: 'Merge commit description (optional)'
+                },
+                prune_source_branch: {
+                  type: 'boolean',
+                  description: 'Delete the source branch after merging (optional, default: false)'
+                }
+              },
+              required: ['number']
+            }
+          },
+          {
+            name: getToolName('review_pr'),
+            description: getToolDescription(`Mark a Pull Request in repository "${OWNER}/${REPO}" as reviewed (approve the code review).
+
+Use this after the review work is done. With force=true the review is forced even if not all required reviewers have approved.
+Returns the updated review and test state of the Pull Request.
+
+Example: {"number": 42, "force": false}`),
+            inputSchema: {
+              type: 'object',
+              properties: {
+                number: {
+                  type: 'number',
+                  description: 'Pull Request number (required)'
+                },
+                force: {
+                  type: 'boolean',
+                  description: 'Force the review to pass (optional, default: false)'
+                }
+              },
+              required: ['number']
+            }
+          },
+          {
+            name: getToolName('test_pr'),
+            description: getToolDescription(`Mark a Pull Request in repository "${OWNER}/${REPO}" as tested.
 
-      // Handle initialization
-      if (method === 'initialize') {
-        if (!this.initialized) {
-          this.initialized = true;
-        }
+Use this after the testing work is done. With force=true the test is forced even if not all required testers have passed it.
+Returns the updated review and test state of the Pull Request.
 
-        // Build server capabilities
-        const serverCapabilities = {
-          tools: {
-            listChanged: false
-          }
-        };
-        
-        // If client supports prompts, we also support it
-        if (params?.capabilities?.prompts) {
-          serverCapabilities.prompts = {
-            listChanged: false
-          };
-        }
-        
-        // If client supports resources, we also support it
-        if (params?.capabilities?.resources) {
-          serverCapabilities.resources = {
-            listChanged: false
-          };
-        }
-        
-        // If client supports logging, we also support it
-        if (params?.capabilities?.logging) {
-          serverCapabilities.logging = {
-            listChanged: false
-          };
-        }
-        
-        // If client supports roots, we also support it
-        if (params?.capabilities?.roots) {
-          serverCapabilities.roots = {
-            listChanged: false
-          };
-        }
-        
-        result = {
-          protocolVersion: params?.protocolVersion || '2025-06-18',
-          capabilities: serverCapabilities,
-          serverInfo: {
-            name: this.name,
-            version: this.version
-          }
-        };
-      } else if (method === 'tools/list') {
-        // Build tool name with repository name prefix for multi-instance support
-        // REPO_NAME is auto-generated from repo name
-        const getToolName = (baseName) => {
-          return REPO_NAME ? `${REPO_NAME}_${baseName}` : baseName;
-        };
-        
-        // Build tool description with project name
-        const getToolDescription = (baseDescription) => {
-          if (PROJECT_NAME) {
-            return `[${PROJECT_NAME}] ${baseDescription}`;
-          }
-          return baseDescription;
-        };
-        
-        // Build tools array
-        const tools = [
+Example: {"number": 42, "force": false}`),
+            inputSchema: {
+              type: 'object',
+              properties: {
+                number: {
+                  type: 'number',
+                  description: 'Pull Request number (required)'
+                },
+                force: {
+                  type: 'boolean',
+                  description: 'Force the test to pass (optional, default: false)'
+                }
+              },
+              required: ['number']
+            }
+          },
           {
-            name: getToolName('pr'),
-            description: getToolDescription(`Create a Pull Request on Gitee for repository "${OWNER}/${REPO}".
-
-IMPORTANT: 
-- This tool creates a Pull Request from branch "${HEAD}" to "${BASE}"
-- The repository is configured via environment variables (owner, repo, head, base)
-- Optional reviewers can be configured via assignees and testers environment variables
-${LABELS_ENV ? `- Default labels from environment: ${LABELS_ENV}` : ''}
+            name: getToolName('list_pr_comments'),
+            description: getToolDescription(`List comments of a Pull Request in repository "${OWNER}/${REPO}".
 
-USAGE: 
-Call this tool with the following parameters:
-{
-  "title": "PR title (required)",
-  "body": "PR description (optional)",
-  "draft": false (optional, default: false)
-}
+Returns general comments (pr_comment) and line comments on the diff (diff_comment, with path and position).
 
-${LABELS_ENV ? `NOTE: Labels will be automatically added from environment variable: ${LABELS_ENV}` : ''}
+Example: {"number": 42, "comment_type": "diff_comment"}`),
+            inputSchema: {
+              type: 'object',
+              properties: {
+                number: {
+                  type: 'number',
+                  description: 'Pull Request number (required)'
+                },
+                comment_type: {
+                  type: 'string',
+                  enum: ['diff_comment', 'pr_comment'],
+                  description: 'Only return this type of comments (optional, default: all)'
+                },
+                page: {
+                  type: 'number',
+                  description: 'Page number, default 1'
+                },
+                per_page: {
+                  type: 'number',
+                  description: 'Page size, default 50, max 100'
+                }
+              },
+              required: ['number']
+            }
+          },
+          {
+            name: getToolName('comment_pr'),
+            description: getToolDescription(`Add a comment to a Pull Request in repository "${OWNER}/${REPO}".
 
-NOTE: After creating the PR, the tool will return the PR URL and number. You can share this information with the user.`),
+- General comment: {"number": 42, "body": "Looks good overall"}
+- Line comment: {"number": 42, "path": "src/login.js", "line": 18, "body": "Handle the timeout here"}
+  "line" is the line number in the new version of the file (side "right"); use side "left" for a deleted line (old line number).
+  The line must be part of the diff.`),
             inputSchema: {
               type: 'object',
               properties: {
-                title: {
+                number: {
+                  type: 'number',
+                  description: 'Pull Request number (required)'
+                },
+                body: {
                   type: 'string',
-                  description: 'Pull Request title (required)'
+                  description: 'Comment text, Markdown supported (required)'
+                },
+                path: {
+                  type: 'string',
+                  description: 'File path for a line comment (optional)'
+                },
+                line: {
+                  type: 'number',
+                  description: 'Line number for a line comment (required with path)'
+                },
+                side: {
+                  type: 'string',
+                  enum: ['right', 'left'],
+                  description: 'right = new file line (default), left = old file line'
+                }
+              },
+              required: ['number', 'body']
+            }
+          },
+          {
+            name: getToolName('reply_pr_comment'),
+            description: getToolDescription(`Reply to a comment on a Pull Request in repository "${OWNER}/${REPO}".
+
+The reply quotes the original comment, mentions its author and, for line comments, is posted on the same diff line (same thread).
+Use list_pr_comments to find comment ids.
+
+Example: {"number": 42, "comment_id": 123456, "body": "Fixed in the latest commit"}`),
+            inputSchema: {
+              type: 'object',
+              properties: {
+                number: {
+                  type: 'number',
+                  description: 'Pull Request number (required)'
+                },
+                comment_id: {
+                  type: 'number',
+                  description: 'Id of the comment to reply to (required)'
                 },
                 body: {
                   type: 'string',
-                  description: 'Pull Request description/body (optional)'
+                  description: 'Reply text (required)'
+                }
+              },
+              required: ['number', 'comment_id', 'body']
+            }
+          },
+          {
+            name: getToolName('post_pr_review'),
+            description: getToolDescription(`Post a structured code review on a Pull Request in repository "${OWNER}/${REPO}" in one call.
+
+Each entry is a line comment anchored to the diff; an optional summary is posted as a general comment.
+The result reports success or failure for every comment, so failed ones can be fixed and retried.
+
+Example: {"number": 42, "summary": "Two issues found", "comments": [{"path": "src/login.js", "line": 18, "body": "Handle the timeout"}, {"path": "src/api.js", "line": 5, "body": "Unused import"}]}`),
+            inputSchema: {
+              type: 'object',
+              properties: {
+                number: {
+                  type: 'number',
+                  description: 'Pull Request number (required)'
                 },
-                draft: {
+                comments: {
+                  type: 'array',
+                  description: 'Line comments (required)',
+                  items: {
+                    type: 'object',
+                    properties: {
+                      path: { type: 'string', description: 'File path' },
+                      line: { type: 'number', description: 'Line number' },
+                      side: { type: 'string', enum: ['right', 'left'], description: 'right = new file line (default), left = old file line' },
+                      body: { type: 'string', description: 'Comment text' }
+                    },
+                    required: ['path', 'line', 'body']
+                  }
+                },
+                summary: {
+                  type: 'string',
+                  description: 'Overall review comment (optional)'
+                }
+              },
+              required: ['number', 'comments']
+            }
+          },
+          {
+            name: getToolName('list_collaborators'),
+            description: getToolDescription(`List the people who can be assigned as reviewers (assignees) or testers in repository "${OWNER}/${REPO}".
+
+Returns the repository collaborators${ENTERPRISE ? ` and the members of enterprise "${ENTERPRISE}"` : ''} with login and display name.
+Use it to choose reviewers and testers for the pr tool. Names passed to pr may be a login, display name or email.
+
+Example: {"query": "zhang"}`),
+            inputSchema: {
+              type: 'object',
+              properties: {
+                query: {
+                  type: 'string',
+                  description: 'Only return people whose login, name or email contains this text (optional)'
+                }
+              }
+            }
+          },
+          {
+            name: getToolName('list_milestones'),
+            description: getToolDescription(`List the milestones of repository "${OWNER}/${REPO}".
+
+Use the title or number of an open milestone as "milestone" for the pr and create_issue tools.
+
+Example: {"state": "open"}`),
+            inputSchema: {
+              type: 'object',
+              properties: {
+                state: {
+                  type: 'string',
+                  enum: ['open', 'closed', 'all'],
+                  description: 'Milestone state, default open'
+                }
+              }
+            }
+          },
+          {
+            name: getToolName('create_issue'),
+            description: getToolDescription(`Create an issue in repository "${OWNER}/${REPO}", e.g. a follow-up found while working on a Pull Request.
+
+Labels and the assignee are checked like for the pr tool. "pr_number" adds a link back to that Pull Request.
+
+Example: {"title": "Handle login timeout", "body": "Found while reviewing", "labels": "bug", "assignee": "username", "pr_number": 42}`),
+            inputSchema: {
+              type: 'object',
+              properties: {
+                title: { type: 'string', description: 'Issue title (required)' },
+                body: { type: 'string', description: 'Issue description (optional)' },
+                labels: { type: 'string', description: 'Comma-separated labels (optional)' },
+                assignee: { type: 'string', description: 'Assignee login, display name or email (optional)' },
+                milestone: { type: 'string', description: 'Title or number of an open milestone (optional)' },
+                pr_number: { type: 'number', description: 'Pull Request to link back to (optional)' },
+                create_missing_labels: {
                   type: 'boolean',
-                  description: 'Whether this is a draft PR (optional, default: false)'
+                  description: `Create labels that do not exist in the repository instead of skipping them (optional, default: ${CREATE_MISSING_LABELS})`
                 }
               },
               required: ['title']
             }
           },
+          {
+            name: getToolName('get_issue'),
+            description: getToolDescription(`Get an issue of repository "${OWNER}/${REPO}" with its description and comments.
+
+Example: {"number": "I4ABCD"}`),
+            inputSchema: {
+              type: 'object',
+              properties: {
+                number: { type: 'string', description: 'Issue number, e.g. "I4ABCD" (required)' }
+              },
+              required: ['number']
+            }
+          },
+          {
+            name: getToolName('list_issues'),
+            description: getToolDescription(`List issues of repository "${OWNER}/${REPO}" as a compact table.
+
+All parameters are optional; by default the first 20 open issues are returned.
+
+Example: {"state": "open", "labels": "bug", "assignee": "username", "page": 1, "per_page": 20}`),
+            inputSchema: {
+              type: 'object',
+              properties: {
+                state: {
+                  type: 'string',
+                  enum: ISSUE_LIST_STATES,
+                  description: 'Issue state, default open'
+                },
+                labels: { type: 'string', description: 'Comma-separated labels' },
+                assignee: { type: 'string', description: 'Assignee login' },
+                creator: { type: 'string', description: 'Creator login' },
+                milestone: { type: 'string', description: 'Milestone title' },
+                sort: {
+                  type: 'string',
+                  enum: ['created', 'updated', 'notes_count'],
+                  description: 'Sort field, default created'
+                },
+                direction: {
+                  type: 'string',
+                  enum: ['asc', 'desc'],
+                  description: 'Sort direction, default desc'
+                },
+                page: { type: 'number', description: 'Page number, default 1' },
+                per_page: { type: 'number', description: 'Page size, default 20, max 100' }
+              }
+            }
+          },
+          {
+            name: getToolName('comment_issue'),
+            description: getToolDescription(`Add a comment to an issue of repository "${OWNER}/${REPO}".
+
+Example: {"number": "I4ABCD", "body": "Fixed in !42"}`),
+            inputSchema: {
+              type: 'object',
+              properties: {
+                number: { type: 'string', description: 'Issue number, e.g. "I4ABCD" (required)' },
+                body: { type: 'string', description: 'Comment text (required)' }
+              },
+              required: ['number', 'body']
+            }
+          },
+          {
+            name: getToolName('workflow_status'),
+            description: getToolDescription(`Show the auto review/test/merge workflows of repository "${OWNER}/${REPO}".
+
+Each PR created with AUTO_REVIEW, AUTO_TEST or AUTO_MERGE gets a workflow that is saved in the state directory,
+with every step's status (pending, running, scheduled, done, skipped, failed), attempts and error.
+Workflows interrupted by a restart are resumed when the server starts.
+
+Example: {"number": 42} or {"status": "active"}`),
+            inputSchema: {
+              type: 'object',
+              properties: {
+                number: { type: 'number', description: 'Pull Request number (optional, default: all workflows)' },
+                status: {
+                  type: 'string',
+                  enum: ['pending', 'running', 'scheduled', 'completed', 'failed', 'active', 'all'],
+                  description: 'Only workflows with this status, "active" for pending, running and scheduled (optional, default: all)'
+                }
+              }
+            }
+          },
+          {
+            name: getToolName('queue_status'),
+            description: getToolDescription(`Show the merge queues of repository "${OWNER}/${REPO}".
+
+AUTO_MERGE merges into the same base branch run one at a time through a queue per owner/repo/base.
+Each PR is rechecked before its merge${MERGE_QUEUE_RETEST ? ', and tested again if the base branch moved while it waited' : ''}.
+
+Example: {"base": "${BASE_RAW}"}`),
+            inputSchema: {
+              type: 'object',
+              properties: {
+                base: { type: 'string', description: 'Only the queue of this base branch (optional)' }
+              }
+            }
+          },
+          {
+            name: getToolName('dequeue'),
+            description: getToolDescription(`Remove a waiting Pull Request from the merge queue of repository "${OWNER}/${REPO}".
+
+The PR is not merged; its workflow's merge step ends as skipped. A PR that is being merged right now cannot be removed.
+
+Example: {"number": 42}`),
+            inputSchema: {
+              type: 'object',
+              properties: {
+                number: { type: 'number', description: 'Pull Request number (required)' }
+              },
+              required: ['number']
+            }
+          },
+          {
+            name: getToolName('scheduled_merges'),
+            description: getToolDescription(`List or cancel the scheduled merges of repository "${OWNER}/${REPO}".
+
+A merge requested outside the merge windows of its base branch, or during a freeze, set in the merge policy${MERGE_POLICY_FILE ? ` ("${MERGE_POLICY_FILE}")` : ''},
+is saved in the state directory and run at the next open slot while the server is running.
+Merges that became due while the server was stopped run when it starts again.
+
+Example: {} or {"base": "${BASE_RAW}"} or {"cancel": 42}`),
+            inputSchema: {
+              type: 'object',
+              properties: {
+                base: { type: 'string', description: 'Only merges into this base branch (optional)' },
+                cancel: { type: 'number', description: 'Cancel the scheduled merge of this Pull Request number (optional)' }
+              }
+            }
+          },
           {
             name: getToolName('token'),
             description: getToolDescription(`Get Gitee access token using OAuth.
@@ -982,8 +5497,9 @@ NOTE: The token is automatically used when creating Pull Requests, so you typica
         const toolResult = await this[actualMethodName](args || {});
 
         // Tool call results need to be wrapped in content
-        // For PR creation, return formatted Markdown content
-        if (actualMethodName === 'pr' && toolResult.success) {
+        // For PR creation, listing and diffs, return formatted Markdown content
+        const markdownTools = ['pr', 'list_prs', 'get_pr_diff', 'list_issues'];
+        if (markdownTools.includes(actualMethodName) && toolResult.success) {
           result = {
             content: [
               {
@@ -1174,6 +5690,13 @@ NOTE: The token is automatically used when creating Pull Requests, so you typica
       process.exit(1);
     });
 
+    // Resume the auto review/test/merge workflows interrupted by the last shutdown (in the background)
+    resumeWorkflows().catch(err => {
+      console.error('Failed to resume workflows:', err.message);
+    });
+    // Re-arm the merges scheduled for the next merge window
+    resumeScheduledMerges();
+
     // Record server startup
     logRequest('server_start', {
       name: this.name,
@@ -1192,10 +5715,27 @@ async function main() {
   console.error('MCP Gitee Pull Request server started successfully');
 }
 
-main().catch(error => {
-  console.error(error);
-  // Write to log
-  logRequest('main', { error: error.message, stack: error.stack }, null, error.message);
-  process.exit(1);
-});
+// Start the server when run directly (bin/cli.js and start-server.js spawn this file); test-simple.js requires it
+if (require.main === module) {
+  main().catch(error => {
+    console.error(error);
+    // Write to log
+    logRequest('main', { error: error.message, stack: error.stack }, null, error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  applyPullRequestTemplate,
+  cancelScheduledMerge,
+  checkMergeWindow,
+  createGiteePullRequest,
+  createWorkflow,
+  enqueueMerge,
+  loadPullRequestTemplate,
+  mergePullRequestWithChecks,
+  resumeWorkflows,
+  runWorkflow,
+  validateRequiredSections
+};
 
@@ -73,6 +73,111 @@ const logRequest = (method, params, result, error = null, repoName = '') => {
   }
 };
 
+// Build a structured report from a Pull Request, its commits and changed files
+const summarizePullRequest = (pr, commits, files) => {
+  const toPeople = (list) => (Array.isArray(list) ? list : []).map(p => ({
+    login: p.login,
+    name: p.name,
+    accepted: p.accept === true
+  }));
+  const reviewers = toPeople(pr.assignees);
+  const testers = toPeople(pr.testers);
+  const reviewRequired = pr.assignees_number || 0;
+  const testRequired = pr.testers_number || 0;
+  const approvedCount = reviewers.filter(p => p.accepted).length;
+  const testedCount = testers.filter(p => p.accepted).length;
+
+  const changedFiles = files.map(f => ({
+    filename: f.filename,
+    status: f.status,
+    additions: parseInt(f.additions, 10) || 0,
+    deletions: parseInt(f.deletions, 10) || 0
+  }));
+
+  return {
+    number: pr.number,
+    title: pr.title,
+    state: pr.state,
+    draft: pr.draft || false,
+    url: pr.html_url,
+    author: pr.user ? pr.user.login : null,
+    head: pr.head ? { ref: pr.head.ref, sha: pr.head.sha, repo: pr.head.repo ? pr.head.repo.full_name : null } : null,
+    base: pr.base ? { ref: pr.base.ref, sha: pr.base.sha, repo: pr.base.repo ? pr.base.repo.full_name : null } : null,
+    body: pr.body || '',
+    labels: (pr.labels || []).map(l => l.name),
+    milestone: pr.milestone ? pr.milestone.title : null,
+    created_at: pr.created_at,
+    updated_at: pr.updated_at,
+    merged_at: pr.merged_at || null,
+    closed_at: pr.closed_at || null,
+    mergeable: pr.mergeable,
+    review: {
+      required: reviewRequired,
+      approved: approvedCount,
+      passed: approvedCount >= reviewRequired,
+      reviewers
+    },
+    test: {
+      required: testRequired,
+      passed_count: testedCount,
+      passed: testedCount >= testRequired,
+      testers
+    },
+    stats: {
+      commits: commits.length,
+      files: changedFiles.length,
+      additions: changedFiles.reduce((sum, f) => sum + f.additions, 0),
+      deletions: changedFiles.reduce((sum, f) => sum + f.deletions, 0)
+    },
+    commits: commits.map(c => ({
+      sha: c.sha,
+      message: c.commit && c.commit.message ? c.commit.message.split('\n')[0] : '',
+      author: c.author && c.author.login ? c.author.login : (c.commit && c.commit.author ? c.commit.author.name : null),
+      date: c.commit && c.commit.author ? c.commit.author.date : null
+    })),
+    files: changedFiles
+  };
+};
+
+// Summarize a Gitee issue for tool results
+const summarizeIssue = (issue) => ({
+  number: issue.number,
+  title: issue.title,
+  state: issue.state,
+  issue_type: issue.issue_type || null,
+  author: issue.user ? issue.user.login : null,
+  assignee: issue.assignee ? issue.assignee.login : null,
+  labels: (issue.labels || []).map(l => l.name),
+  milestone: issue.milestone ? { number: issue.milestone.number, title: issue.milestone.title } : null,
+  comments: issue.comments !== undefined ? issue.comments : null,
+  created_at: issue.created_at,
+  updated_at: issue.updated_at,
+  url: issue.html_url
+});
+
+// Parse issue number from tool arguments ("I4ABCD" or "#I4ABCD")
+const parseIssueNumber = (value) => {
+  const number = typeof value === 'string' ? value.trim().replace(/^#/, '') : '';
+  if (!/^[A-Za-z0-9]+$/.test(number)) {
+    throw new Error('Missing or invalid issue number parameter (e.g. "I4ABCD")');
+  }
+  return number.toUpperCase();
+};
+
+// Build the error result returned by tools
+const buildToolError = (action, err) => {
+  const errorResult = {
+    success: false,
+    error: `${action} failed: ${err.error || err.message}${err.statusCode ? ` (Status: ${err.statusCode})` : ''}`,
+    statusCode: err.statusCode || null,
+    message: `${action} failed. Error: ${err.error || err.message}`
+  };
+  if (err.data) {
+    errorResult.response = err.data;
+  }
+  return errorResult;
+};
+
 class FinalMCPServer {
   constructor() {
     this.name = 'mcp-gitee-pr-server-multi';
@@ -376,6 +481,202 @@ class FinalMCPServer {
     }
   }
 
+  // Get PR tool
+  async get_pr(params, toolContext = {}) {
+    const { number } = params;
+    const { REPO_NAME, OWNER, REPO } = toolContext;
+
+    const prNumber = typeof number === 'string' && /^\d+$/.test(number.trim()) ? parseInt(number.trim(), 10) : number;
+    if (!prNumber || typeof prNumber !== 'number' || !Number.isInteger(prNumber) || prNumber < 1) {
+      throw new Error('Missing or invalid PR number parameter');
+    }
+
+    const instance = MULTI_INSTANCE.find(i => i.REPO_NAME === REPO_NAME);
+    if (!instance) {
+      throw new Error(`Repository not found: ${REPO_NAME}`);
+    }
+
+    try {
+      const apiPath = `/repos/${OWNER}/${REPO}/pulls/${prNumber}`;
+      const [prResponse, commitsResponse, filesResponse] = await Promise.all([
+        this.makeGiteeRequest(instance, REPO_NAME, 'GET', apiPath, null),
+        this.makeGiteeRequest(instance, REPO_NAME, 'GET', `${apiPath}/commits`, null),
+        this.makeGiteeRequest(instance, REPO_NAME, 'GET', `${apiPath}/files`, null)
+      ]);
+
+      const details = summarizePullRequest(
+        prResponse.data || {},
+        Array.isArray(commitsResponse.data) ? commitsResponse.data : [],
+        Array.isArray(filesResponse.data) ? filesResponse.data : []
+      );
+
+      logRequest('get_pr', { number: prNumber, repo: REPO_NAME }, { number: details.number, state: details.state, stats: details.stats }, null, REPO_NAME);
+
+      return {
+        success: true,
+        ...details
+      };
+    } catch (err) {
+      logRequest('get_pr', { number: prNumber, repo: REPO_NAME }, null, err.error || err.message, REPO_NAME);
+      return {
+        success: false,
+        error: `Getting Pull Request #${prNumber} failed: ${err.error || err.message}${err.statusCode ? ` (Status: ${err.statusCode})` : ''}`,
+        statusCode: err.statusCode || null,
+        message: `Failed to get Pull Request #${prNumber}. Error: ${err.error || err.message}`
+      };
+    }
+  }
+
+  // Create issue tool
+  async create_issue(params, toolContext = {}) {
+    const { title, body, labels, assignee, milestone, pr_number } = params;
+    const { REPO_NAME, OWNER, REPO } = toolContext;
+
+    if (!title || typeof title !== 'string' || title.trim() === '') {
+      throw new Error('Missing or invalid title parameter');
+    }
+
+    const instance = MULTI_INSTANCE.find(i => i.REPO_NAME === REPO_NAME);
+    if (!instance) {
+      throw new Error(`Repository not found: ${REPO_NAME}`);
+    }
+
+    const requestBody = { repo: REPO, title: title.trim(), body: body || '' };
+    if (labels) {
+      requestBody.labels = (Array.isArray(labels) ? labels : String(labels).split(',')).map(s => String(s).trim()).filter(s => s !== '').join(',');
+    }
+    if (assignee) {
+      requestBody.assignee = String(assignee).trim();
+    }
+    if (milestone) {
+      requestBody.milestone = Number(milestone);
+    }
+    if (pr_number) {
+      // Link back to the Pull Request
+      const link = `Related Pull Request: !${pr_number} (https://gitee.com/${OWNER}/${REPO}/pulls/${pr_number})`;
+      requestBody.body = requestBody.body.trim() === '' ? link : `${requestBody.body}\n\n${link}`;
+    }
+
+    try {
+      const response = await this.makeGiteeRequest(instance, REPO_NAME, 'POST', `/repos/${OWNER}/issues`, requestBody);
+      const issue = response.data || {};
+
+      logRequest('create_issue', { title, labels, assignee, milestone, pr_number, repo: REPO_NAME }, { number: issue.number, url: issue.html_url }, null, REPO_NAME);
+
+      return {
+        success: true,
+        number: issue.number,
+        url: issue.html_url || null,
+        issue: summarizeIssue(issue),
+        message: `Issue #${issue.number} created: ${issue.html_url || ''}`
+      };
+    } catch (err) {
+      logRequest('create_issue', { title, repo: REPO_NAME }, null, err.error || err.message, REPO_NAME);
+      return buildToolError('Creating issue', err);
+    }
+  }
+
+  // Get issue tool
+  async get_issue(params, toolContext = {}) {
+    const { REPO_NAME, OWNER, REPO } = toolContext;
+    const issueNumber = parseIssueNumber(params.number);
+
+    const instance = MULTI_INSTANCE.find(i => i.REPO_NAME === REPO_NAME);
+    if (!instance) {
+      throw new Error(`Repository not found: ${REPO_NAME}`);
+    }
+
+    try {
+      const apiPath = `/repos/${OWNER}/${REPO}/issues/${encodeURIComponent(issueNumber)}`;
+      const [issueResponse, commentsResponse] = await Promise.all([
+        this.makeGiteeRequest(instance, REPO_NAME, 'GET', apiPath, null),
+        this.makeGiteeRequest(instance, REPO_NAME, 'GET', `${apiPath}/comments?page=1&per_page=100`, null)
+      ]);
+      const issue = issueResponse.data || {};
+      const comments = Array.isArray(commentsResponse.data) ? commentsResponse.data : [];
+
+      logRequest('get_issue', { number: issueNumber, repo: REPO_NAME }, { number: issue.number, state: issue.state }, null, REPO_NAME);
+
+      return {
+        success: true,
+        ...summarizeIssue(issue),
+        body: issue.body || '',
+        comment_list: comments.map(c => ({ id: c.id, author: c.user ? c.user.login : null, body: c.body, created_at: c.created_at }))
+      };
+    } catch (err) {
+      logRequest('get_issue', { number: issueNumber, repo: REPO_NAME }, null, err.error || err.message, REPO_NAME);
+      return buildToolError(`Getting issue ${issueNumber}`, err);
+    }
+  }
+
+  // List issues tool
+  async list_issues(params, toolContext = {}) {
+    const { state = 'open', labels, assignee, page = 1, per_page = 20 } = params;
+    const { REPO_NAME, OWNER, REPO } = toolContext;
+
+    const instance = MULTI_INSTANCE.find(i => i.REPO_NAME === REPO_NAME);
+    if (!instance) {
+      throw new Error(`Repository not found: ${REPO_NAME}`);
+    }
+
+    const query = new URLSearchParams();
+    query.append('state', state);
+    if (labels) query.append('labels', String(labels));
+    if (assignee) query.append('assignee', assignee);
+    query.append('page', String(page));
+    query.append('per_page', String(per_page));
+
+    try {
+      const response = await this.makeGiteeRequest(instance, REPO_NAME, 'GET', `/repos/${OWNER}/${REPO}/issues?${query.toString()}`, null);
+      const issues = (Array.isArray(response.data) ? response.data : []).map(summarizeIssue);
+
+      logRequest('list_issues', { ...params, repo: REPO_NAME }, { count: issues.length }, null, REPO_NAME);
+
+      return {
+        success: true,
+        count: issues.length,
+        page,
+        issues
+      };
+    } catch (err) {
+      logRequest('list_issues', { ...params, repo: REPO_NAME }, null, err.error || err.message, REPO_NAME);
+      return buildToolError('Listing issues', err);
+    }
+  }
+
+  // Comment on issue tool
+  async comment_issue(params, toolContext = {}) {
+    const { body } = params;
+    const { REPO_NAME, OWNER, REPO } = toolContext;
+    const issueNumber = parseIssueNumber(params.number);
+
+    if (!body || typeof body !== 'string' || body.trim() === '') {
+      throw new Error('Missing or invalid body parameter');
+    }
+
+    const instance = MULTI_INSTANCE.find(i => i.REPO_NAME === REPO_NAME);
+    if (!instance) {
+      throw new Error(`Repository not found: ${REPO_NAME}`);
+    }
+
+    try {
+      const response = await this.makeGiteeRequest(instance, REPO_NAME, 'POST', `/repos/${OWNER}/${REPO}/issues/${encodeURIComponent(issueNumber)}/comments`, { body });
+      const comment = response.data || {};
+
+      logRequest('comment_issue', { number: issueNumber, repo: REPO_NAME }, { id: comment.id }, null, REPO_NAME);
+
+      return {
+        success: true,
+        number: issueNumber,
+        comment: { id: comment.id, body: comment.body, created_at: comment.created_at },
+        message: `Comment added to issue #${issueNumber}`
+      };
+    } catch (err) {
+      logRequest('comment_issue', { number: issueNumber, repo: REPO_NAME }, null, err.error || err.message, REPO_NAME);
+      return buildToolError(`Commenting on issue ${issueNumber}`, err);
+    }
+  }
+
   // Token tool
   async token(params, toolContext = {}) {
     const { REPO_NAME } = toolContext;
@@ -538,6 +839,111 @@ NOTE: Each repository must be configured with owner, repo, head, and base parame
               required: ['title', 'repo']
             }
           },
+          {
+            name: getToolName('get_pr'),
+            description: getToolDescription(`Get full details of a Pull Request: commits, changed files with additions/deletions, review and test status, and mergeability.
+
+Available repositories:
+${MULTI_INSTANCE.map(i => `  - ${i.REPO_NAME}: ${i.OWNER}/${i.REPO}`).join('\n')}`),
+            inputSchema: {
+              type: 'object',
+              properties: {
+                number: { type: 'number', description: 'Pull Request number (required)' },
+                repo: {
+                  type: 'string',
+                  description: `Repository name, required. Available values: ${getRepoEnum().join(', ')}`,
+                  enum: getRepoEnum()
+                }
+              },
+              required: ['number', 'repo']
+            }
+          },
+          {
+            name: getToolName('create_issue'),
+            description: getToolDescription(`Create an issue, e.g. a follow-up found while working on a Pull Request. "pr_number" adds a link back to that Pull Request.
+
+Available repositories:
+${MULTI_INSTANCE.map(i => `  - ${i.REPO_NAME}: ${i.OWNER}/${i.REPO}`).join('\n')}`),
+            inputSchema: {
+              type: 'object',
+              properties: {
+                title: { type: 'string', description: 'Issue title (required)' },
+                body: { type: 'string', description: 'Issue description (optional)' },
+                labels: { type: 'string', description: 'Comma-separated labels (optional)' },
+                assignee: { type: 'string', description: 'Assignee login (optional)' },
+                milestone: { type: 'number', description: 'Milestone number (optional)' },
+                pr_number: { type: 'number', description: 'Pull Request to link back to (optional)' },
+                repo: {
+                  type: 'string',
+                  description: `Repository name, required. Available values: ${getRepoEnum().join(', ')}`,
+                  enum: getRepoEnum()
+                }
+              },
+              required: ['title', 'repo']
+            }
+          },
+          {
+            name: getToolName('get_issue'),
+            description: getToolDescription(`Get an issue with its description and comments.
+
+Available repositories:
+${MULTI_INSTANCE.map(i => `  - ${i.REPO_NAME}: ${i.OWNER}/${i.REPO}`).join('\n')}`),
+            inputSchema: {
+              type: 'object',
+              properties: {
+                number: { type: 'string', description: 'Issue number, e.g. "I4ABCD" (required)' },
+                repo: {
+                  type: 'string',
+                  description: `Repository name, required. Available values: ${getRepoEnum().join(', ')}`,
+                  enum: getRepoEnum()
+                }
+              },
+              required: ['number', 'repo']
+            }
+          },
+          {
+            name: getToolName('list_issues'),
+            description: getToolDescription(`List issues of a repository.
+
+Available repositories:
+${MULTI_INSTANCE.map(i => `  - ${i.REPO_NAME}: ${i.OWNER}/${i.REPO}`).join('\n')}`),
+            inputSchema: {
+              type: 'object',
+              properties: {
+                state: { type: 'string', enum: ['open', 'progressing', 'closed', 'rejected', 'all'], description: 'Issue state, default open' },
+                labels: { type: 'string', description: 'Comma-separated labels' },
+                assignee: { type: 'string', description: 'Assignee login' },
+                page: { type: 'number', description: 'Page number, default 1' },
+                per_page: { type: 'number', description: 'Page size, default 20, max 100' },
+                repo: {
+                  type: 'string',
+                  description: `Repository name, required. Available values: ${getRepoEnum().join(', ')}`,
+                  enum: getRepoEnum()
+                }
+              },
+              required: ['repo']
+            }
+          },
+          {
+            name: getToolName('comment_issue'),
+            description: getToolDescription(`Add a comment to an issue.
+
+Available repositories:
+${MULTI_INSTANCE.map(i => `  - ${i.REPO_NAME}: ${i.OWNER}/${i.REPO}`).join('\n')}`),
+            inputSchema: {
+              type: 'object',
+              properties: {
+                number: { type: 'string', description: 'Issue number, e.g. "I4ABCD" (required)' },
+                body: { type: 'string', description: 'Comment text (required)' },
+                repo: {
+                  type: 'string',
+                  description: `Repository name, required. Available values: ${getRepoEnum().join(', ')}`,
+                  enum: getRepoEnum()
+                }
+              },
+              required: ['number', 'body', 'repo']
+            }
+          },
           {
             name: getToolName('token'),
             description: getToolDescription(`Get Gitee access token for a specific repository.
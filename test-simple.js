@@ -0,0 +1,328 @@
+const assert = require('assert');
+const { EventEmitter } = require('events');
+const fs = require('fs');
+const https = require('https');
+const os = require('os');
+const path = require('path');
+
+// The server checks its configuration when loaded
+Object.assign(process.env, {
+  scope_username: 'test',
+  scope_password: 'test',
+  scope_client_id: 'test',
+  scope_client_secret: 'test',
+  owner: 'owner',
+  repo: 'repo',
+  head: 'dev',
+  base: 'master',
+  AUTO_MERGE: 'true',
+  AUTO_MERGE_WAIT: 'true',
+  AUTO_MERGE_INTERVAL: '0.01',
+  AUTO_MERGE_TIMEOUT: '1',
+  REVIEWER_POOL: 'alice,bob,carol',
+  MERGE_POLICY_FILE: path.join(os.tmpdir(), 'mcp-gitee-pr-test-policy.json'),
+  MCP_LOG_DIR: path.join(os.tmpdir(), 'mcp-gitee-pr-test')
+});
+// Saved workflows and rotation state of earlier runs would change the results
+fs.rmSync(process.env.MCP_LOG_DIR, { recursive: true, force: true });
+
+// Merge windows for the release branch, "window" opens two hours from now (the other branches have no policy)
+const WINDOW_HOUR = (new Date().getUTCHours() + 2) % 24;
+fs.writeFileSync(process.env.MERGE_POLICY_FILE, JSON.stringify({
+  branches: {
+    release: {
+      merge_windows: ['* 9-17 * * 1-5'],
+      freeze: { from: '2026-12-24', to: '2026-12-26', reason: 'Holidays' },
+      timezone: 'UTC'
+    },
+    window: { merge_windows: [`* ${WINDOW_HOUR} * * *`], timezone: 'UTC' }
+  }
+}));
+
+const {
+  applyPullRequestTemplate,
+  cancelScheduledMerge,
+  checkMergeWindow,
+  createGiteePullRequest,
+  createWorkflow,
+  enqueueMerge,
+  loadPullRequestTemplate,
+  mergePullRequestWithChecks,
+  resumeWorkflows,
+  runWorkflow,
+  validateRequiredSections
+} = require('./src/server-final.js');
+
+const tests = [];
+const test = (name, fn) => tests.push({ name, fn });
+
+// Answer the requests of makeGiteeRequest without the network
+// handler(method, path, body) returns the response data, or { status, data } for other status codes
+const stubGitee = (handler) => {
+  const calls = [];
+  https.request = (options, onResponse) => {
+    const req = new EventEmitter();
+    let body = '';
+    req.write = (chunk) => { body += chunk; };
+    req.end = () => setImmediate(() => {
+      const apiPath = options.path.replace(/^\/api\/v5/, '').replace(/[?&]access_token=[^&]*/, '');
+      const reply = options.path === '/oauth/token'
+        ? { access_token: 'token', expires_in: 3600 }
+        : handler(options.method, apiPath, body ? JSON.parse(body) : null);
+      if (options.path !== '/oauth/token') calls.push(`${options.method} ${apiPath}`);
+      const { status = 200, data = reply } = reply && reply.status ? reply : {};
+      const res = new EventEmitter();
+      res.statusCode = status;
+      res.headers = {};
+      onResponse(res);
+      res.emit('data', JSON.stringify(data));
+      res.emit('end');
+    });
+    return req;
+  };
+  return calls;
+};
+
+const TEMPLATE = [
+  '## Summary <!-- required -->',
+  '<!-- What does this PR change? -->',
+  '',
+  '## Checklist <!-- required -->',
+  '- [ ] Tests added',
+  '- [ ] Docs updated'
+].join('\n');
+const VARS = { title: 'Add login', head: 'dev', base: 'master', commits: '', issue: '' };
+
+test('template with {{body}} placeholder renders the body into it', () => {
+  const result = applyPullRequestTemplate('## Summary (required)\n{{body}}', 'Adds the login page', VARS);
+  assert.strictEqual(result.body, '## Summary (required)\nAdds the login page');
+  assert.deepStrictEqual(result.errors, []);
+});
+
+test('empty template sections are reported', () => {
+  const result = applyPullRequestTemplate(TEMPLATE, '', VARS);
+  assert.strictEqual(result.body, TEMPLATE);
+  assert.deepStrictEqual(result.errors, [
+    'Required section "Summary" is empty',
+    'Required checklist "Checklist" has no checked items'
+  ]);
+});
+
+test('template without placeholder: a body with the template headings replaces the template', () => {
+  const body = [
+    '## Summary',
+    'Adds the login page',
+    '',
+    '## Checklist',
+    '- [x] Tests added',
+    '- [ ] Docs updated'
+  ].join('\n');
+  const result = applyPullRequestTemplate(TEMPLATE, body, VARS);
+  assert.strictEqual(result.body, body);
+  assert.deepStrictEqual(result.errors, []);
+});
+
+test('template without placeholder: required sections are checked in the body', () => {
+  const body = '## Summary\nAdds the login page';
+  const result = applyPullRequestTemplate(TEMPLATE, body, VARS);
+  assert.strictEqual(result.body, body);
+  assert.deepStrictEqual(result.errors, ['Required section "Checklist" is missing']);
+});
+
+test('template without placeholder: a plain body goes above the template', () => {
+  const result = applyPullRequestTemplate(TEMPLATE, 'Adds the login page', VARS);
+  assert.strictEqual(result.body, `Adds the login page\n\n${TEMPLATE}`);
+  assert.deepStrictEqual(result.errors, [
+    'Required section "Summary" is missing',
+    'Required section "Checklist" is missing'
+  ]);
+});
+
+test('template without required sections accepts any body', () => {
+  const result = applyPullRequestTemplate('## Notes\n', 'Adds the login page', VARS);
+  assert.deepStrictEqual(result.errors, []);
+});
+
+test('validateRequiredSections checks each required heading of a rendered template', () => {
+  assert.deepStrictEqual(validateRequiredSections('## Summary (required)\nText\n## Risks (required)\n'), [
+    'Required section "Risks" is empty'
+  ]);
+});
+
+test('default template lookup: a Gitee error is a warning, not a failure', async () => {
+  stubGitee(() => ({ status: 503, data: { message: 'Service Unavailable' } }));
+  const warnings = [];
+  const template = await loadPullRequestTemplate('master', warnings);
+  assert.strictEqual(template, null);
+  assert.deepStrictEqual(warnings, [
+    'Could not read the PR template master:.gitee/PULL_REQUEST_TEMPLATE.md, the description was not checked against it: Service Unavailable'
+  ]);
+});
+
+const openPullRequest = (number, mergeable) => ({
+  number,
+  state: 'open',
+  mergeable,
+  head: { ref: 'dev' },
+  base: { ref: 'master' },
+  assignees: [],
+  testers: []
+});
+
+// Gitee answers for one queued PR: the base branch, the PR (mergeable in turn from the list) and the merge
+const stubMergeQueue = (number, mergeableSequence) => {
+  let polls = 0;
+  return stubGitee((method, apiPath) => {
+    if (apiPath.startsWith('/repos/owner/repo/branches/')) return { commit: { sha: 'base-sha' } };
+    if (method === 'GET' && apiPath === `/repos/owner/repo/pulls/${number}`) {
+      const mergeable = mergeableSequence[Math.min(polls++, mergeableSequence.length - 1)];
+      return openPullRequest(number, mergeable);
+    }
+    if (method === 'PUT' && apiPath === `/repos/owner/repo/pulls/${number}/merge`) return { merged: true };
+    return { status: 404, data: { message: 'Not Found' } };
+  });
+};
+
+test('merge queue: an unmergeable first poll is checked again before a conflict is reported', async () => {
+  const calls = stubMergeQueue(101, [false, true]);
+  const summary = await enqueueMerge(101, 'master');
+  assert.strictEqual(summary.outcome, 'merged');
+  assert.ok(calls.includes('PUT /repos/owner/repo/pulls/101/merge'));
+});
+
+test('merge queue: a conflict seen on two polls in a row is reported', async () => {
+  const calls = stubMergeQueue(102, [false]);
+  const summary = await enqueueMerge(102, 'master');
+  assert.strictEqual(summary.outcome, 'conflicted');
+  assert.ok(!calls.some(c => c.startsWith('PUT')));
+});
+
+test('merge queue: a PR closed while it waited is not merged', async () => {
+  const calls = stubGitee((method, apiPath) => {
+    if (apiPath.startsWith('/repos/owner/repo/branches/')) return { commit: { sha: 'base-sha' } };
+    if (apiPath === '/repos/owner/repo/pulls/103') return { ...openPullRequest(103, true), state: 'closed' };
+    return { status: 404, data: { message: 'Not Found' } };
+  });
+  const summary = await enqueueMerge(103, 'master');
+  assert.strictEqual(summary.outcome, 'not_open');
+  assert.ok(!calls.some(c => c.startsWith('PUT')));
+});
+
+test('auto merge wait: a PR waiting for approvals does not hold up the merge queue', async () => {
+  const events = [];
+  stubGitee((method, apiPath) => {
+    if (apiPath.startsWith('/repos/owner/repo/branches/')) return { commit: { sha: 'base-sha' } };
+    if (apiPath === '/repos/owner/repo/pulls/201') {
+      return { ...openPullRequest(201, true), assignees_number: 1, assignees: [{ login: 'alice', accept: false }] };
+    }
+    if (apiPath === '/repos/owner/repo/pulls/202') return openPullRequest(202, true);
+    if (method === 'PUT') {
+      events.push(`merged ${apiPath.split('/')[5]}`);
+      return { merged: true };
+    }
+    return { status: 404, data: { message: 'Not Found' } };
+  });
+
+  createWorkflow({ number: 201, url: null, head: 'dev', base: 'master' });
+  const waiting = runWorkflow(201).then(workflow => {
+    events.push('201 finished');
+    return workflow;
+  });
+  // PR 201 is polled by now, before the change it waited for its approvals inside the merge queue
+  await new Promise(resolve => setTimeout(resolve, 100));
+  const other = await enqueueMerge(202, 'master');
+  const { record, results } = await waiting;
+
+  assert.strictEqual(other.outcome, 'merged');
+  assert.deepStrictEqual(events, ['merged 202', '201 finished']);
+  assert.strictEqual(results.merge.outcome, 'timed_out');
+  assert.strictEqual(results.merge.queue, undefined);
+  assert.strictEqual(record.steps.find(s => s.name === 'merge').outcome, 'timed_out');
+});
+
+test('reviewer pool: PRs created at the same time continue the rotation', async () => {
+  let next = 300;
+  stubGitee((method, apiPath, body) => {
+    if (apiPath === '/user') return { login: 'me' };
+    if (apiPath.startsWith('/repos/owner/repo/collaborators')) {
+      return apiPath.includes('page=1') ? ['alice', 'bob', 'carol', 'me'].map(login => ({ login })) : [];
+    }
+    if (method === 'POST' && apiPath === '/repos/owner/repo/pulls') return { number: next++, ...body };
+    return { status: 404, data: { message: 'Not Found' } };
+  });
+
+  const create = (title) => createGiteePullRequest({ title, head: 'dev', base: 'master' });
+  const created = await Promise.all([create('First'), create('Second')]);
+  created.push(await create('Third'), await create('Fourth'));
+
+  assert.deepStrictEqual(created.map(pr => pr.data.assignees), [['alice'], ['bob'], ['carol'], ['alice']]);
+  const state = JSON.parse(fs.readFileSync(path.join(process.env.MCP_LOG_DIR, 'reviewer-pool.json'), 'utf8'));
+  assert.strictEqual(state['owner/repo'].next_index, 1);
+});
+
+test('merge windows: open inside a window, otherwise the next slot is given', async () => {
+  assert.deepStrictEqual(await checkMergeWindow('release', Date.parse('2026-10-19T12:00:00Z')), { open: true });
+  assert.deepStrictEqual(await checkMergeWindow('main', Date.parse('2026-10-18T12:00:00Z')), { open: true });
+
+  const weekend = await checkMergeWindow('release', Date.parse('2026-10-17T12:00:00Z'));
+  assert.strictEqual(weekend.open, false);
+  assert.strictEqual(weekend.next, '2026-10-19T09:00:00.000Z');
+
+  const frozen = await checkMergeWindow('release', Date.parse('2026-12-24T10:00:00Z'));
+  assert.strictEqual(frozen.open, false);
+  assert.strictEqual(frozen.reason, 'release is frozen from 2026-12-24 00:00 to 2026-12-26 23:59 (Holidays)');
+  assert.strictEqual(frozen.next, '2026-12-28T09:00:00.000Z');
+});
+
+test('merge windows: a merge outside the window is scheduled, not sent', async () => {
+  const calls = stubGitee((method, apiPath) => {
+    if (apiPath === '/repos/owner/repo/pulls/401') return { ...openPullRequest(401, true), base: { ref: 'window' } };
+    return { status: 404, data: { message: 'Not Found' } };
+  });
+
+  const result = await mergePullRequestWithChecks(401, {}, { schedule: true });
+  assert.strictEqual(result.merged, false);
+  assert.strictEqual(result.scheduled, true);
+  assert.strictEqual(new Date(result.scheduled_for).getUTCHours(), WINDOW_HOUR);
+  assert.ok(!calls.some(c => c.startsWith('PUT')));
+
+  const saved = JSON.parse(fs.readFileSync(path.join(process.env.MCP_LOG_DIR, 'scheduled-merges.json'), 'utf8'));
+  assert.strictEqual(saved.merges[401].scheduled_for, result.scheduled_for);
+  assert.strictEqual(cancelScheduledMerge(401).number, 401);
+});
+
+test('workflows: a merge step interrupted by a restart is run again', async () => {
+  const calls = stubMergeQueue(501, [true]);
+  createWorkflow({ number: 501, url: null, head: 'dev', base: 'master' });
+
+  // The state a killed process leaves behind: the merge step running after one attempt
+  const stateFile = path.join(process.env.MCP_LOG_DIR, 'workflows.json');
+  const state = JSON.parse(fs.readFileSync(stateFile, 'utf8'));
+  Object.assign(state.workflows[501], { status: 'running' });
+  Object.assign(state.workflows[501].steps.find(s => s.name === 'merge'), { status: 'running', attempts: 1 });
+  fs.writeFileSync(stateFile, JSON.stringify(state));
+
+  await resumeWorkflows();
+
+  const record = JSON.parse(fs.readFileSync(stateFile, 'utf8')).workflows[501];
+  assert.strictEqual(record.status, 'completed');
+  assert.deepStrictEqual(record.steps.map(s => [s.name, s.status, s.attempts]), [['merge', 'done', 2]]);
+  assert.ok(calls.includes('PUT /repos/owner/repo/pulls/501/merge'));
+});
+
+const run = async () => {
+  let failed = 0;
+  for (const { name, fn } of tests) {
+    try {
+      await fn();
+      console.log(`✓ ${name}`);
+    } catch (err) {
+      failed++;
+      console.log(`✗ ${name}\n  ${err.message}`);
+    }
+  }
+  console.log(`\n${tests.length - failed} passed, ${failed} failed`);
+  process.exit(failed > 0 ? 1 : 0);
+};
+
+run();